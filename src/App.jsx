@@ -1,10 +1,60 @@
-import React, { useState, useRef, useMemo } from 'react';
-import { Canvas, useFrame } from '@react-three/fiber';
-import { OrbitControls, Html } from '@react-three/drei';
+import React, { useState, useRef, useMemo, useEffect } from 'react';
+import { Canvas, useFrame, useThree } from '@react-three/fiber';
+import { OrbitControls, Html, Line } from '@react-three/drei';
 import * as THREE from 'three';
+import {
+  IDENTITY,
+  groupElements,
+  symmetryElements,
+  formatIndices,
+  formatPlaneIndices,
+  directionIndices,
+  elementLabel,
+  classifyMatrix,
+  operationMatrix,
+  basisForSystem,
+  multiply,
+  matricesEqual,
+  identifyPointGroup,
+  symmetryElementOf,
+  sameOperations
+} from './symmetry.js';
+import CayleyTable from './CayleyTable.jsx';
+import CharacterTable from './CharacterTable.jsx';
+import SelectionRules from './SelectionRules.jsx';
+import PropertyTensors from './PropertyTensors.jsx';
+import GroupSearch from './GroupSearch.jsx';
+import OrbitModel from './OrbitModel.jsx';
+import ChiralMotifModel from './ChiralMotifModel.jsx';
+import { pointOrbit } from './orbits.js';
+import { characterTable } from './characterTables.js';
+import { parsePointGroupSymbol, symbolElements } from './pointGroupSymbols.js';
+import Stereogram from './Stereogram.jsx';
+import SubgroupLattice from './SubgroupLattice.jsx';
+import MoleculeModel from './MoleculeModel.jsx';
+import AxisSymbolModel from './AxisSymbolModel.jsx';
+import { parseMolecule } from './molecules.js';
+import { detectMoleculeSymmetry } from './moleculeSymmetry.js';
+import UnitCellModel from './UnitCellModel.jsx';
+import { parseCif, crystalClass, unitCellAtoms } from './cif.js';
+import { parseMillerIndices, combineForms, crystalSymmetry } from './crystalForms.js';
+import { polyhedronGeometry } from './polyhedron.js';
+import { cartesianOperation, standardCell, constrainCell, crystalMatrix, standardDirections, directionVector } from './lattice.js';
+import CellParameters from './CellParameters.jsx';
+import { exportGLTF, exportOBJ, exportSTL, exportName } from './modelExport.js';
+import { encodeView, decodeView } from './viewState.js';
+import { lostElements } from './subgroups.js';
+import Quiz from './Quiz.jsx';
+import { loadMistakes, nextQuestion } from './quiz.js';
+import { animationTimeline, timelinePose, trailPoses } from './timeline.js';
+import Timeline from './Timeline.jsx';
 
-// Complete data for all 32 crystallographic point groups
-const pointGroups = [
+// Complete data for all 32 crystallographic point groups. `habit` lists
+// the {hkl} forms (and central distances) of a crystal whose symmetry is
+// exactly the group; `operations` are generators of the group, with axes
+// given as directions [uvw] and mirrors as planes (hkl) of the lattice
+// (hexagonal axes for trigonal and hexagonal groups).
+const pointGroupData = [
   // TRICLINIC SYSTEM
   {
     id: '1',
@@ -13,7 +63,13 @@ const pointGroups = [
     schoenflies: 'C₁',
     description: 'No symmetry except identity',
     example: 'CuSO₄·5H₂O',
-    geometry: 'scalene',
+    habit: [
+      { hkl: [2, 1, 1], distance: 1 },
+      { hkl: [-1, 2, 1], distance: 1.1 },
+      { hkl: [-1, -2, 1], distance: 0.9 },
+      { hkl: [1, -1, -3], distance: 1 },
+      { hkl: [-2, 1, -2], distance: 1.2 }
+    ],
     operations: []
   },
   {
@@ -23,7 +79,11 @@ const pointGroups = [
     schoenflies: 'Cᵢ',
     description: 'Inversion center only',
     example: 'CaSO₄·2H₂O',
-    geometry: 'scalene',
+    habit: [
+      { hkl: [2, 1, 0], distance: 1 },
+      { hkl: [1, 3, 1], distance: 1.1 },
+      { hkl: [-1, 1, 3], distance: 0.9 }
+    ],
     operations: [{ type: 'inversion' }]
   },
   
@@ -35,8 +95,12 @@ const pointGroups = [
     schoenflies: 'C₂',
     description: 'One 2-fold rotation axis',
     example: 'Gypsum',
-    geometry: 'monoclinic',
-    operations: [{ type: 'rotation', order: 2, axis: [0, 1, 0] }]
+    habit: [
+      { hkl: [1, 2, 1], distance: 1 },
+      { hkl: [2, -1, 1], distance: 1 },
+      { hkl: [-1, 1, 3], distance: 1 }
+    ],
+    operations: [{ type: 'rotation', order: 2, uvw: [0, 1, 0] }]
   },
   {
     id: 'm',
@@ -45,8 +109,13 @@ const pointGroups = [
     schoenflies: 'Cs',
     description: 'One mirror plane',
     example: 'Clinohedrite',
-    geometry: 'monoclinic',
-    operations: [{ type: 'mirror', normal: [1, 0, 0] }]
+    habit: [
+      { hkl: [2, 1, 1], distance: 1 },
+      { hkl: [-1, 2, 1], distance: 1 },
+      { hkl: [1, 0, -3], distance: 1 },
+      { hkl: [-1, 0, -2], distance: 1.1 }
+    ],
+    operations: [{ type: 'mirror', hkl: [0, 1, 0] }]
   },
   {
     id: '2/m',
@@ -55,10 +124,15 @@ const pointGroups = [
     schoenflies: 'C₂h',
     description: '2-fold axis perpendicular to mirror',
     example: 'Borax',
-    geometry: 'monoclinic',
+    habit: [
+      { hkl: [1, 2, 1], distance: 1 },
+      { hkl: [1, 0, 0], distance: 1 },
+      { hkl: [-1, 0, 2], distance: 1.1 },
+      { hkl: [0, 1, 0], distance: 1.2 }
+    ],
     operations: [
-      { type: 'rotation', order: 2, axis: [0, 1, 0] },
-      { type: 'mirror', normal: [1, 0, 0] },
+      { type: 'rotation', order: 2, uvw: [0, 1, 0] },
+      { type: 'mirror', hkl: [0, 1, 0] },
       { type: 'inversion' }
     ]
   },
@@ -71,11 +145,11 @@ const pointGroups = [
     schoenflies: 'D₂',
     description: 'Three perpendicular 2-fold axes',
     example: 'α-Sulfur',
-    geometry: 'orthorhombic',
+    habit: [{ hkl: [1, 2, 3], distance: 1 }],
     operations: [
-      { type: 'rotation', order: 2, axis: [1, 0, 0] },
-      { type: 'rotation', order: 2, axis: [0, 1, 0] },
-      { type: 'rotation', order: 2, axis: [0, 0, 1] }
+      { type: 'rotation', order: 2, uvw: [1, 0, 0] },
+      { type: 'rotation', order: 2, uvw: [0, 1, 0] },
+      { type: 'rotation', order: 2, uvw: [0, 0, 1] }
     ]
   },
   {
@@ -85,11 +159,14 @@ const pointGroups = [
     schoenflies: 'C₂v',
     description: '2-fold axis, two perpendicular mirrors',
     example: 'Hemimorphite',
-    geometry: 'orthorhombic',
+    habit: [
+      { hkl: [1, 2, 3], distance: 1 },
+      { hkl: [0, 0, -1], distance: 0.6 }
+    ],
     operations: [
-      { type: 'rotation', order: 2, axis: [0, 0, 1] },
-      { type: 'mirror', normal: [1, 0, 0] },
-      { type: 'mirror', normal: [0, 1, 0] }
+      { type: 'rotation', order: 2, uvw: [0, 0, 1] },
+      { type: 'mirror', hkl: [1, 0, 0] },
+      { type: 'mirror', hkl: [0, 1, 0] }
     ]
   },
   {
@@ -99,14 +176,14 @@ const pointGroups = [
     schoenflies: 'D₂h',
     description: 'Three perpendicular mirror planes',
     example: 'Barite',
-    geometry: 'orthorhombic',
+    habit: [{ hkl: [1, 2, 3], distance: 1 }],
     operations: [
-      { type: 'rotation', order: 2, axis: [1, 0, 0] },
-      { type: 'rotation', order: 2, axis: [0, 1, 0] },
-      { type: 'rotation', order: 2, axis: [0, 0, 1] },
-      { type: 'mirror', normal: [1, 0, 0] },
-      { type: 'mirror', normal: [0, 1, 0] },
-      { type: 'mirror', normal: [0, 0, 1] },
+      { type: 'rotation', order: 2, uvw: [1, 0, 0] },
+      { type: 'rotation', order: 2, uvw: [0, 1, 0] },
+      { type: 'rotation', order: 2, uvw: [0, 0, 1] },
+      { type: 'mirror', hkl: [1, 0, 0] },
+      { type: 'mirror', hkl: [0, 1, 0] },
+      { type: 'mirror', hkl: [0, 0, 1] },
       { type: 'inversion' }
     ]
   },
@@ -119,8 +196,12 @@ const pointGroups = [
     schoenflies: 'C₄',
     description: 'One 4-fold rotation axis',
     example: 'Wulfenite',
-    geometry: 'tetragonal',
-    operations: [{ type: 'rotation', order: 4, axis: [0, 0, 1] }]
+    habit: [
+      { hkl: [2, 1, 0], distance: 1 },
+      { hkl: [1, 0, 1], distance: 1.1 },
+      { hkl: [0, 0, -1], distance: 0.8 }
+    ],
+    operations: [{ type: 'rotation', order: 4, uvw: [0, 0, 1] }]
   },
   {
     id: '-4',
@@ -129,9 +210,12 @@ const pointGroups = [
     schoenflies: 'S₄',
     description: '4-fold rotoinversion axis',
     example: 'Chalcopyrite',
-    geometry: 'tetragonal',
+    habit: [
+      { hkl: [2, 1, 0], distance: 1 },
+      { hkl: [1, 0, 1], distance: 1.1 }
+    ],
     operations: [
-      { type: 'rotation', order: 4, axis: [0, 0, 1], roto: true }
+      { type: 'rotation', order: 4, uvw: [0, 0, 1], roto: true }
     ]
   },
   {
@@ -141,10 +225,13 @@ const pointGroups = [
     schoenflies: 'C₄h',
     description: '4-fold axis perpendicular to mirror',
     example: 'Scheelite',
-    geometry: 'tetragonal',
+    habit: [
+      { hkl: [2, 1, 0], distance: 1 },
+      { hkl: [1, 0, 1], distance: 1.1 }
+    ],
     operations: [
-      { type: 'rotation', order: 4, axis: [0, 0, 1] },
-      { type: 'mirror', normal: [0, 0, 1] },
+      { type: 'rotation', order: 4, uvw: [0, 0, 1] },
+      { type: 'mirror', hkl: [0, 0, 1] },
       { type: 'inversion' }
     ]
   },
@@ -155,13 +242,13 @@ const pointGroups = [
     schoenflies: 'D₄',
     description: '4-fold axis with perpendicular 2-folds',
     example: 'Cristobalite',
-    geometry: 'tetragonal',
+    habit: [{ hkl: [1, 2, 3], distance: 1 }],
     operations: [
-      { type: 'rotation', order: 4, axis: [0, 0, 1] },
-      { type: 'rotation', order: 2, axis: [1, 0, 0] },
-      { type: 'rotation', order: 2, axis: [0, 1, 0] },
-      { type: 'rotation', order: 2, axis: [1, 1, 0] },
-      { type: 'rotation', order: 2, axis: [1, -1, 0] }
+      { type: 'rotation', order: 4, uvw: [0, 0, 1] },
+      { type: 'rotation', order: 2, uvw: [1, 0, 0] },
+      { type: 'rotation', order: 2, uvw: [0, 1, 0] },
+      { type: 'rotation', order: 2, uvw: [1, 1, 0] },
+      { type: 'rotation', order: 2, uvw: [1, -1, 0] }
     ]
   },
   {
@@ -171,13 +258,16 @@ const pointGroups = [
     schoenflies: 'C₄v',
     description: '4-fold axis with 4 vertical mirrors',
     example: 'Diaboleite',
-    geometry: 'tetragonal',
+    habit: [
+      { hkl: [1, 2, 3], distance: 1 },
+      { hkl: [0, 0, -1], distance: 0.6 }
+    ],
     operations: [
-      { type: 'rotation', order: 4, axis: [0, 0, 1] },
-      { type: 'mirror', normal: [1, 0, 0] },
-      { type: 'mirror', normal: [0, 1, 0] },
-      { type: 'mirror', normal: [1, 1, 0] },
-      { type: 'mirror', normal: [1, -1, 0] }
+      { type: 'rotation', order: 4, uvw: [0, 0, 1] },
+      { type: 'mirror', hkl: [1, 0, 0] },
+      { type: 'mirror', hkl: [0, 1, 0] },
+      { type: 'mirror', hkl: [1, 1, 0] },
+      { type: 'mirror', hkl: [1, -1, 0] }
     ]
   },
   {
@@ -187,13 +277,13 @@ const pointGroups = [
     schoenflies: 'D₂d',
     description: '4-bar with 2-folds and mirrors',
     example: 'Chalcopyrite',
-    geometry: 'tetragonal',
+    habit: [{ hkl: [1, 2, 3], distance: 1 }],
     operations: [
-      { type: 'rotation', order: 4, axis: [0, 0, 1], roto: true },
-      { type: 'rotation', order: 2, axis: [1, 0, 0] },
-      { type: 'rotation', order: 2, axis: [0, 1, 0] },
-      { type: 'mirror', normal: [1, 1, 0] },
-      { type: 'mirror', normal: [1, -1, 0] }
+      { type: 'rotation', order: 4, uvw: [0, 0, 1], roto: true },
+      { type: 'rotation', order: 2, uvw: [1, 0, 0] },
+      { type: 'rotation', order: 2, uvw: [0, 1, 0] },
+      { type: 'mirror', hkl: [1, 1, 0] },
+      { type: 'mirror', hkl: [1, -1, 0] }
     ]
   },
   {
@@ -203,14 +293,14 @@ const pointGroups = [
     schoenflies: 'D₄h',
     description: 'Highest tetragonal symmetry',
     example: 'Rutile',
-    geometry: 'tetragonal',
+    habit: [{ hkl: [1, 2, 3], distance: 1 }],
     operations: [
-      { type: 'rotation', order: 4, axis: [0, 0, 1] },
-      { type: 'rotation', order: 2, axis: [1, 0, 0] },
-      { type: 'rotation', order: 2, axis: [0, 1, 0] },
-      { type: 'mirror', normal: [0, 0, 1] },
-      { type: 'mirror', normal: [1, 0, 0] },
-      { type: 'mirror', normal: [0, 1, 0] },
+      { type: 'rotation', order: 4, uvw: [0, 0, 1] },
+      { type: 'rotation', order: 2, uvw: [1, 0, 0] },
+      { type: 'rotation', order: 2, uvw: [0, 1, 0] },
+      { type: 'mirror', hkl: [0, 0, 1] },
+      { type: 'mirror', hkl: [1, 0, 0] },
+      { type: 'mirror', hkl: [0, 1, 0] },
       { type: 'inversion' }
     ]
   },
@@ -223,8 +313,12 @@ const pointGroups = [
     schoenflies: 'C₃',
     description: 'One 3-fold rotation axis',
     example: 'Sodium periodate',
-    geometry: 'trigonal',
-    operations: [{ type: 'rotation', order: 3, axis: [0, 0, 1] }]
+    habit: [
+      { hkl: [2, 1, 0], distance: 1 },
+      { hkl: [1, 0, 1], distance: 1.1 },
+      { hkl: [0, 0, -1], distance: 0.8 }
+    ],
+    operations: [{ type: 'rotation', order: 3, uvw: [0, 0, 1] }]
   },
   {
     id: '-3',
@@ -233,9 +327,12 @@ const pointGroups = [
     schoenflies: 'C₃ᵢ',
     description: '3-fold axis with inversion',
     example: 'Dolomite',
-    geometry: 'trigonal',
+    habit: [
+      { hkl: [2, 1, 0], distance: 1 },
+      { hkl: [1, 0, 1], distance: 1.1 }
+    ],
     operations: [
-      { type: 'rotation', order: 3, axis: [0, 0, 1] },
+      { type: 'rotation', order: 3, uvw: [0, 0, 1] },
       { type: 'inversion' }
     ]
   },
@@ -246,12 +343,12 @@ const pointGroups = [
     schoenflies: 'D₃',
     description: '3-fold with perpendicular 2-folds',
     example: 'α-Quartz',
-    geometry: 'trigonal',
+    habit: [{ hkl: [1, 2, 3], distance: 1 }],
     operations: [
-      { type: 'rotation', order: 3, axis: [0, 0, 1] },
-      { type: 'rotation', order: 2, axis: [1, 0, 0] },
-      { type: 'rotation', order: 2, axis: [0.5, 0.866, 0] },
-      { type: 'rotation', order: 2, axis: [-0.5, 0.866, 0] }
+      { type: 'rotation', order: 3, uvw: [0, 0, 1] },
+      { type: 'rotation', order: 2, uvw: [1, 0, 0] },
+      { type: 'rotation', order: 2, uvw: [1, 1, 0] },
+      { type: 'rotation', order: 2, uvw: [0, 1, 0] }
     ]
   },
   {
@@ -261,12 +358,15 @@ const pointGroups = [
     schoenflies: 'C₃v',
     description: '3-fold axis with 3 vertical mirrors',
     example: 'Tourmaline',
-    geometry: 'trigonal',
+    habit: [
+      { hkl: [1, 2, 3], distance: 1 },
+      { hkl: [0, 0, -1], distance: 0.6 }
+    ],
     operations: [
-      { type: 'rotation', order: 3, axis: [0, 0, 1] },
-      { type: 'mirror', normal: [1, 0, 0] },
-      { type: 'mirror', normal: [0.5, 0.866, 0] },
-      { type: 'mirror', normal: [-0.5, 0.866, 0] }
+      { type: 'rotation', order: 3, uvw: [0, 0, 1] },
+      { type: 'mirror', hkl: [2, -1, 0] },
+      { type: 'mirror', hkl: [1, 1, 0] },
+      { type: 'mirror', hkl: [-1, 2, 0] }
     ]
   },
   {
@@ -276,11 +376,11 @@ const pointGroups = [
     schoenflies: 'D₃d',
     description: 'Highest trigonal symmetry',
     example: 'Calcite',
-    geometry: 'trigonal',
+    habit: [{ hkl: [1, 2, 3], distance: 1 }],
     operations: [
-      { type: 'rotation', order: 3, axis: [0, 0, 1] },
-      { type: 'rotation', order: 2, axis: [1, 0, 0] },
-      { type: 'mirror', normal: [1, 0, 0] },
+      { type: 'rotation', order: 3, uvw: [0, 0, 1] },
+      { type: 'rotation', order: 2, uvw: [1, 0, 0] },
+      { type: 'mirror', hkl: [2, -1, 0] },
       { type: 'inversion' }
     ]
   },
@@ -293,8 +393,12 @@ const pointGroups = [
     schoenflies: 'C₆',
     description: 'One 6-fold rotation axis',
     example: 'Nepheline',
-    geometry: 'hexagonal',
-    operations: [{ type: 'rotation', order: 6, axis: [0, 0, 1] }]
+    habit: [
+      { hkl: [2, 1, 0], distance: 1 },
+      { hkl: [1, 0, 1], distance: 1.1 },
+      { hkl: [0, 0, -1], distance: 0.8 }
+    ],
+    operations: [{ type: 'rotation', order: 6, uvw: [0, 0, 1] }]
   },
   {
     id: '-6',
@@ -303,10 +407,13 @@ const pointGroups = [
     schoenflies: 'C₃h',
     description: '6-fold rotoinversion axis',
     example: 'Benitoite',
-    geometry: 'hexagonal',
+    habit: [
+      { hkl: [2, 1, 0], distance: 1 },
+      { hkl: [1, 0, 1], distance: 1.1 }
+    ],
     operations: [
-      { type: 'rotation', order: 6, axis: [0, 0, 1], roto: true },
-      { type: 'mirror', normal: [0, 0, 1] }
+      { type: 'rotation', order: 6, uvw: [0, 0, 1], roto: true },
+      { type: 'mirror', hkl: [0, 0, 1] }
     ]
   },
   {
@@ -316,10 +423,13 @@ const pointGroups = [
     schoenflies: 'C₆h',
     description: '6-fold axis perpendicular to mirror',
     example: 'Apatite',
-    geometry: 'hexagonal',
+    habit: [
+      { hkl: [2, 1, 0], distance: 1 },
+      { hkl: [1, 0, 1], distance: 1.1 }
+    ],
     operations: [
-      { type: 'rotation', order: 6, axis: [0, 0, 1] },
-      { type: 'mirror', normal: [0, 0, 1] },
+      { type: 'rotation', order: 6, uvw: [0, 0, 1] },
+      { type: 'mirror', hkl: [0, 0, 1] },
       { type: 'inversion' }
     ]
   },
@@ -330,12 +440,12 @@ const pointGroups = [
     schoenflies: 'D₆',
     description: '6-fold axis with perpendicular 2-folds',
     example: 'β-Quartz',
-    geometry: 'hexagonal',
+    habit: [{ hkl: [1, 2, 3], distance: 1 }],
     operations: [
-      { type: 'rotation', order: 6, axis: [0, 0, 1] },
-      { type: 'rotation', order: 2, axis: [1, 0, 0] },
-      { type: 'rotation', order: 2, axis: [0, 1, 0] },
-      { type: 'rotation', order: 2, axis: [0.866, 0.5, 0] }
+      { type: 'rotation', order: 6, uvw: [0, 0, 1] },
+      { type: 'rotation', order: 2, uvw: [1, 0, 0] },
+      { type: 'rotation', order: 2, uvw: [1, 2, 0] },
+      { type: 'rotation', order: 2, uvw: [2, 1, 0] }
     ]
   },
   {
@@ -345,12 +455,15 @@ const pointGroups = [
     schoenflies: 'C₆v',
     description: '6-fold axis with 6 vertical mirrors',
     example: 'Wurtzite',
-    geometry: 'hexagonal',
+    habit: [
+      { hkl: [1, 2, 3], distance: 1 },
+      { hkl: [0, 0, -1], distance: 0.6 }
+    ],
     operations: [
-      { type: 'rotation', order: 6, axis: [0, 0, 1] },
-      { type: 'mirror', normal: [1, 0, 0] },
-      { type: 'mirror', normal: [0, 1, 0] },
-      { type: 'mirror', normal: [0.866, 0.5, 0] }
+      { type: 'rotation', order: 6, uvw: [0, 0, 1] },
+      { type: 'mirror', hkl: [2, -1, 0] },
+      { type: 'mirror', hkl: [0, 1, 0] },
+      { type: 'mirror', hkl: [1, 0, 0] }
     ]
   },
   {
@@ -360,11 +473,11 @@ const pointGroups = [
     schoenflies: 'D₃h',
     description: '6-bar with mirrors and 2-folds',
     example: 'Schorl',
-    geometry: 'hexagonal',
+    habit: [{ hkl: [1, 2, 3], distance: 1 }],
     operations: [
-      { type: 'rotation', order: 6, axis: [0, 0, 1], roto: true },
-      { type: 'mirror', normal: [0, 0, 1] },
-      { type: 'rotation', order: 2, axis: [1, 0, 0] }
+      { type: 'rotation', order: 6, uvw: [0, 0, 1], roto: true },
+      { type: 'mirror', hkl: [0, 0, 1] },
+      { type: 'rotation', order: 2, uvw: [1, 2, 0] }
     ]
   },
   {
@@ -374,12 +487,12 @@ const pointGroups = [
     schoenflies: 'D₆h',
     description: 'Highest hexagonal symmetry',
     example: 'Beryl',
-    geometry: 'hexagonal',
+    habit: [{ hkl: [1, 2, 3], distance: 1 }],
     operations: [
-      { type: 'rotation', order: 6, axis: [0, 0, 1] },
-      { type: 'rotation', order: 2, axis: [1, 0, 0] },
-      { type: 'mirror', normal: [0, 0, 1] },
-      { type: 'mirror', normal: [1, 0, 0] },
+      { type: 'rotation', order: 6, uvw: [0, 0, 1] },
+      { type: 'rotation', order: 2, uvw: [1, 0, 0] },
+      { type: 'mirror', hkl: [0, 0, 1] },
+      { type: 'mirror', hkl: [2, -1, 0] },
       { type: 'inversion' }
     ]
   },
@@ -392,13 +505,13 @@ const pointGroups = [
     schoenflies: 'T',
     description: 'Tetrahedral rotation group',
     example: 'Sodium chlorate',
-    geometry: 'tetrahedron',
+    habit: [{ hkl: [1, 2, 3], distance: 1 }],
     operations: [
-      { type: 'rotation', order: 3, axis: [1, 1, 1] },
-      { type: 'rotation', order: 3, axis: [-1, 1, 1] },
-      { type: 'rotation', order: 2, axis: [1, 0, 0] },
-      { type: 'rotation', order: 2, axis: [0, 1, 0] },
-      { type: 'rotation', order: 2, axis: [0, 0, 1] }
+      { type: 'rotation', order: 3, uvw: [1, 1, 1] },
+      { type: 'rotation', order: 3, uvw: [-1, 1, 1] },
+      { type: 'rotation', order: 2, uvw: [1, 0, 0] },
+      { type: 'rotation', order: 2, uvw: [0, 1, 0] },
+      { type: 'rotation', order: 2, uvw: [0, 0, 1] }
     ]
   },
   {
@@ -408,10 +521,10 @@ const pointGroups = [
     schoenflies: 'Th',
     description: 'Tetrahedral group with inversion',
     example: 'Pyrite',
-    geometry: 'tetrahedron',
+    habit: [{ hkl: [1, 2, 3], distance: 1 }],
     operations: [
-      { type: 'rotation', order: 3, axis: [1, 1, 1] },
-      { type: 'rotation', order: 2, axis: [1, 0, 0] },
+      { type: 'rotation', order: 3, uvw: [1, 1, 1] },
+      { type: 'rotation', order: 2, uvw: [1, 0, 0] },
       { type: 'inversion' }
     ]
   },
@@ -422,13 +535,13 @@ const pointGroups = [
     schoenflies: 'O',
     description: 'Octahedral rotation group',
     example: 'Cuprite',
-    geometry: 'cube',
+    habit: [{ hkl: [1, 2, 3], distance: 1 }],
     operations: [
-      { type: 'rotation', order: 4, axis: [1, 0, 0] },
-      { type: 'rotation', order: 4, axis: [0, 1, 0] },
-      { type: 'rotation', order: 4, axis: [0, 0, 1] },
-      { type: 'rotation', order: 3, axis: [1, 1, 1] },
-      { type: 'rotation', order: 2, axis: [1, 1, 0] }
+      { type: 'rotation', order: 4, uvw: [1, 0, 0] },
+      { type: 'rotation', order: 4, uvw: [0, 1, 0] },
+      { type: 'rotation', order: 4, uvw: [0, 0, 1] },
+      { type: 'rotation', order: 3, uvw: [1, 1, 1] },
+      { type: 'rotation', order: 2, uvw: [1, 1, 0] }
     ]
   },
   {
@@ -438,12 +551,12 @@ const pointGroups = [
     schoenflies: 'Td',
     description: 'Tetrahedral group with mirrors',
     example: 'Sphalerite',
-    geometry: 'tetrahedron',
+    habit: [{ hkl: [1, 2, 3], distance: 1 }],
     operations: [
-      { type: 'rotation', order: 3, axis: [1, 1, 1] },
-      { type: 'rotation', order: 2, axis: [1, 0, 0] },
-      { type: 'mirror', normal: [1, 1, 0] },
-      { type: 'mirror', normal: [1, 0, 1] }
+      { type: 'rotation', order: 3, uvw: [1, 1, 1] },
+      { type: 'rotation', order: 2, uvw: [1, 0, 0] },
+      { type: 'mirror', hkl: [1, 1, 0] },
+      { type: 'mirror', hkl: [1, 0, 1] }
     ]
   },
   {
@@ -453,146 +566,263 @@ const pointGroups = [
     schoenflies: 'Oh',
     description: 'Highest cubic symmetry',
     example: 'Halite, Diamond',
-    geometry: 'cube',
+    habit: [{ hkl: [1, 2, 3], distance: 1 }],
     operations: [
-      { type: 'rotation', order: 4, axis: [1, 0, 0] },
-      { type: 'rotation', order: 4, axis: [0, 1, 0] },
-      { type: 'rotation', order: 4, axis: [0, 0, 1] },
-      { type: 'rotation', order: 3, axis: [1, 1, 1] },
-      { type: 'mirror', normal: [1, 0, 0] },
-      { type: 'mirror', normal: [0, 1, 0] },
-      { type: 'mirror', normal: [0, 0, 1] },
+      { type: 'rotation', order: 4, uvw: [1, 0, 0] },
+      { type: 'rotation', order: 4, uvw: [0, 1, 0] },
+      { type: 'rotation', order: 4, uvw: [0, 0, 1] },
+      { type: 'rotation', order: 3, uvw: [1, 1, 1] },
+      { type: 'mirror', hkl: [1, 0, 0] },
+      { type: 'mirror', hkl: [0, 1, 0] },
+      { type: 'mirror', hkl: [0, 0, 1] },
       { type: 'inversion' }
     ]
   }
 ];
 
-// Geometry generator functions
-function createGeometry(type) {
-  switch (type) {
-    case 'scalene':
-      return new THREE.BoxGeometry(1.8, 1.2, 0.9);
-    case 'monoclinic':
-      const monoGeo = new THREE.BoxGeometry(1.6, 1.2, 1);
-      monoGeo.applyMatrix4(new THREE.Matrix4().makeShear(0.3, 0, 0, 0, 0, 0));
-      return monoGeo;
-    case 'orthorhombic':
-      return new THREE.BoxGeometry(1.6, 1.2, 0.9);
-    case 'tetragonal':
-      return new THREE.BoxGeometry(1.2, 1.8, 1.2);
-    case 'trigonal':
-      return new THREE.CylinderGeometry(1.2, 1.2, 1.8, 3);
-    case 'hexagonal':
-      return new THREE.CylinderGeometry(1.2, 1.2, 1.8, 6);
-    case 'cube':
-      return new THREE.BoxGeometry(1.5, 1.5, 1.5);
-    case 'tetrahedron':
-      return new THREE.TetrahedronGeometry(1.3);
-    default:
-      return new THREE.BoxGeometry(1.5, 1.5, 1.5);
+const pointGroups = pointGroupData.map(group => ({
+  ...group,
+  operations: group.operations.map(op => cartesianOperation(op, group.system))
+}));
+
+const systems = ['All', 'Triclinic', 'Monoclinic', 'Orthorhombic', 'Tetragonal', 'Trigonal', 'Hexagonal', 'Cubic'];
+
+// Group for a Hermann–Mauguin or Schoenflies symbol. A symbol in another
+// setting than the built-in entry becomes a group of its own.
+function groupForSymbol(symbol) {
+  const parsed = parsePointGroupSymbol(symbol, pointGroups);
+  if (sameOperations(symbolElements(parsed), groupElements(parsed.group))) return parsed.group;
+  return {
+    ...parsed.group,
+    id: parsed.symbol,
+    name: `${parsed.symbol} (${parsed.group.schoenflies})`,
+    habit: parsed.habit,
+    operations: parsed.operations,
+    setting: true,
+    standardId: parsed.group.id
+  };
+}
+
+// Group a link names: one of the 32, or a symbol in another setting
+function groupForId(id) {
+  const group = pointGroups.find(g => g.id === id);
+  if (group || !id) return group || null;
+  try {
+    return groupForSymbol(id);
+  } catch {
+    return null;
   }
 }
 
-function SymmetryObject({ group, showAxes, showPlanes, showInversion, autoRotate, animationMode }) {
+// Animation a link names by element indices, if the group has them
+function animationFromView(group, animation) {
+  if (!animation) return null;
+  const ops = groupElements(group);
+  const steps = animation.steps.map(i => ops[i]);
+  if (steps.length === 0 || steps.some(step => !step)) return null;
+  const source = animation.source === null ? null : symmetryElements(ops)[animation.source];
+  return { steps, source: source || null };
+}
+
+// Characteristic crystal of a group, built from the forms in its habit
+function createGeometry(group) {
+  const crystal = combineForms(group.habit, groupElements(group), group.system);
+  return polyhedronGeometry(crystal.solid);
+}
+
+function poseMatrix(m) {
+  return new THREE.Matrix4().set(
+    m[0][0], m[0][1], m[0][2], 0,
+    m[1][0], m[1][1], m[1][2], 0,
+    m[2][0], m[2][1], m[2][2], 0,
+    0, 0, 0, 1
+  );
+}
+
+function setCloneMatrix(clone, m) {
+  clone.matrixAutoUpdate = false;
+  clone.matrix.copy(poseMatrix(m));
+}
+
+// Colour for symmetry elements highlighted from the stereogram and tables
+const HIGHLIGHT_COLOR = '#ffb300';
+
+// Edge of a drawn mirror plane, 2.5 across
+const MIRROR_OUTLINE = [[-1.25, -1.25, 0], [1.25, -1.25, 0], [1.25, 1.25, 0], [-1.25, 1.25, 0], [-1.25, -1.25, 0]];
+
+// General position of the chiral motif, just outside the crystal, and the
+// colours of copies made by proper and improper operations
+const MOTIF_POSITION = [1.35, 0.4, 0.85];
+const MOTIF_PROPER_COLOR = '#7b1fa2';
+const MOTIF_IMPROPER_COLOR = '#f9a825';
+
+function SymmetryObject({ group, showAxes, showPlanes, showInversion, autoRotate, animationMode, onSequenceComplete, highlighted = [], shapeGeometry, molecule, timeline, clockRef, playing = true, speed = 1, orbit, onOrbitDrag, showMotif = false }) {
   const meshRef = useRef();
   const groupRef = useRef();
   const cloneRef = useRef();
-  const animationTimeRef = useRef(0);
+  const trailRefs = useRef([]);
+  const sequenceDoneRef = useRef(false);
   
-  const geometry = useMemo(() => createGeometry(group.geometry), [group.geometry]);
+  const defaultGeometry = useMemo(() => createGeometry(group), [group]);
+  const geometry = shapeGeometry || defaultGeometry;
+  const operations = groupElements(group);
+  const elements = useMemo(() => symmetryElements(operations), [operations]);
+  const trails = useMemo(() => (timeline?.trails ? trailPoses(timeline) : []), [timeline]);
   
   useFrame((state, delta) => {
     if (autoRotate && !animationMode && groupRef.current) {
       groupRef.current.rotation.y += delta * 0.3;
     }
     
-    // Handle animation in useFrame for better performance
-    if (animationMode && cloneRef.current) {
-      animationTimeRef.current += delta;
-      const t = (animationTimeRef.current % 2) / 2; // 2 second loop
-      
-      // Reset transforms
-      cloneRef.current.rotation.set(0, 0, 0);
-      cloneRef.current.scale.set(1, 1, 1);
-      cloneRef.current.position.set(0, 0, 0);
-      
-      if (animationMode.type === 'rotation') {
-        const axis = new THREE.Vector3(...animationMode.axis).normalize();
-        const angle = (2 * Math.PI / animationMode.order) * t;
-        const quaternion = new THREE.Quaternion().setFromAxisAngle(axis, angle);
-        cloneRef.current.setRotationFromQuaternion(quaternion);
-      } else if (animationMode.type === 'mirror') {
-        const normal = new THREE.Vector3(...animationMode.normal).normalize();
-        // Reflect across the plane
-        const scale = 1 - 2 * t;
-        if (Math.abs(normal.x) > 0.5) cloneRef.current.scale.x = scale;
-        if (Math.abs(normal.y) > 0.5) cloneRef.current.scale.y = scale;
-        if (Math.abs(normal.z) > 0.5) cloneRef.current.scale.z = scale;
-      } else if (animationMode.type === 'inversion') {
-        const scale = 1 - 2 * t;
-        cloneRef.current.scale.set(scale, scale, scale);
+    // Handle animation in useFrame for better performance. Every operation
+    // is applied to the clone as a real 3×3 matrix, stage by stage, and the
+    // result is held for a moment before the loop restarts. The clock is
+    // shared with the timeline controls, which can pause and scrub it.
+    if (animationMode && timeline && cloneRef.current) {
+      const now = clockRef.current;
+      if (playing) now.time = (now.time + delta * speed) % timeline.duration;
+      const { matrix, done } = timelinePose(timeline, now.time);
+      if (done === timeline.stages.length && !sequenceDoneRef.current) {
+        sequenceDoneRef.current = true;
+        onSequenceComplete?.();
       }
-    } else {
-      animationTimeRef.current = 0;
+      setCloneMatrix(cloneRef.current, matrix);
+      trails.forEach((pose, i) => {
+        if (trailRefs.current[i]) trailRefs.current[i].visible = done >= pose.done;
+      });
     }
   });
+
+  // A new animation has not been seen through yet
+  useEffect(() => {
+    sequenceDoneRef.current = false;
+  }, [timeline]);
   
   return (
     <group ref={groupRef}>
-      {/* Main crystal shape */}
-      <mesh ref={meshRef} geometry={geometry}>
-        <meshStandardMaterial
-          color="#4a90e2"
-          wireframe={false}
-          transparent={true}
-          opacity={0.6}
-          side={THREE.DoubleSide}
-        />
-      </mesh>
-      
-      {/* Wireframe overlay */}
-      <mesh geometry={geometry}>
-        <meshBasicMaterial color="#1a3a5a" wireframe={true} />
-      </mesh>
-      
-      {/* Clone for animation */}
-      {animationMode && (
-        <group ref={cloneRef}>
-          <mesh geometry={geometry}>
+      {molecule ? (
+        <group name="Molecule">
+          <MoleculeModel atoms={molecule.atoms} bonds={molecule.bonds} />
+        </group>
+      ) : (
+        <>
+          {/* Main crystal shape */}
+          <mesh ref={meshRef} name="Crystal" geometry={geometry}>
             <meshStandardMaterial
-              color="#ff6b35"
+              color="#4a90e2"
               wireframe={false}
               transparent={true}
-              opacity={0.5}
+              opacity={0.6}
               side={THREE.DoubleSide}
             />
           </mesh>
-          <mesh geometry={geometry}>
-            <meshBasicMaterial color="#d64520" wireframe={true} />
+          
+          {/* Wireframe overlay */}
+          <mesh geometry={geometry} userData={{ export: false }}>
+            <meshBasicMaterial color="#1a3a5a" wireframe={true} />
           </mesh>
+        </>
+      )}
+      
+      {/* Clone for animation */}
+      {animationMode && (
+        <group ref={cloneRef} userData={{ export: false }}>
+          {molecule ? (
+            <MoleculeModel atoms={molecule.atoms} bonds={molecule.bonds} ghost={true} />
+          ) : (
+            <>
+              <mesh geometry={geometry}>
+                <meshStandardMaterial
+                  color="#ff6b35"
+                  wireframe={false}
+                  transparent={true}
+                  opacity={0.5}
+                  side={THREE.DoubleSide}
+                />
+              </mesh>
+              <mesh geometry={geometry}>
+                <meshBasicMaterial color="#d64520" wireframe={true} />
+              </mesh>
+            </>
+          )}
         </group>
       )}
       
-      {/* Symmetry elements */}
-      {group.operations.map((op, i) => {
+      {/* Ghost copies left at the end of each step */}
+      {animationMode && trails.map((pose, i) => (
+        <group
+          key={`trail-${i}`}
+          ref={(node) => { trailRefs.current[i] = node; }}
+          matrix={poseMatrix(pose.matrix)}
+          matrixAutoUpdate={false}
+          visible={false}
+          userData={{ export: false }}
+        >
+          {molecule ? (
+            <MoleculeModel atoms={molecule.atoms} bonds={molecule.bonds} ghost={true} />
+          ) : (
+            <mesh geometry={geometry}>
+              <meshStandardMaterial
+                color="#ff6b35"
+                transparent={true}
+                opacity={0.2}
+                depthWrite={false}
+                side={THREE.DoubleSide}
+              />
+            </mesh>
+          )}
+        </group>
+      ))}
+      
+      {orbit && <OrbitModel orbit={orbit} onDrag={onOrbitDrag} />}
+      
+      {/* A chiral motif carried by every operation, improper copies reversed */}
+      {showMotif && operations.map((el, i) => (
+        <group key={`motif-${i}`} matrix={poseMatrix(el.matrix)} matrixAutoUpdate={false}>
+          <group position={MOTIF_POSITION}>
+            <ChiralMotifModel
+              color={el.det > 0 ? MOTIF_PROPER_COLOR : MOTIF_IMPROPER_COLOR}
+              name={`Motif ${el.symbol}`}
+            />
+          </group>
+        </group>
+      ))}
+      
+      {/* Symmetry elements, from the closed group rather than the generators */}
+      {elements.map((op, i) => {
         if (op.type === 'rotation' && showAxes) {
           const axis = new THREE.Vector3(...op.axis).normalize();
-          const length = 3;
-          const color = op.roto ? '#ff6b35' : '#e63946';
+          const length = 3.6;
+          const active = highlighted.includes(op);
+          const color = active ? HIGHLIGHT_COLOR : op.roto ? '#ff6b35' : '#e63946';
+          const name = `Axis ${op.roto ? '-' : ''}${op.order} ${formatIndices(op.indices)}`;
+          // The axis runs through the centre with its symbol at both ends
+          const facing = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 0, 1), axis);
           
           return (
             <group key={`rot-${i}`}>
               <mesh
-                position={axis.clone().multiplyScalar(length / 2)}
+                name={name}
                 quaternion={new THREE.Quaternion().setFromUnitVectors(
                   new THREE.Vector3(0, 1, 0),
                   axis
                 )}
               >
-                <cylinderGeometry args={[0.03, 0.03, length, 8]} />
+                <cylinderGeometry args={active ? [0.06, 0.06, length, 8] : [0.03, 0.03, length, 8]} />
                 <meshBasicMaterial color={color} />
               </mesh>
-              <Html position={axis.clone().multiplyScalar(length / 2 + 0.3)}>
+              {[1, -1].map(end => (
+                <group key={end} position={axis.clone().multiplyScalar((end * length) / 2)} quaternion={facing}>
+                  <AxisSymbolModel
+                    order={op.order}
+                    roto={op.roto}
+                    color={color}
+                    size={active ? 0.2 : 0.15}
+                    name={`${name} symbol`}
+                  />
+                </group>
+              ))}
+              <Html position={axis.clone().multiplyScalar(length / 2 + 0.35)}>
                 <div style={{
                   color: color,
                   fontSize: '11px',
@@ -617,14 +847,21 @@ function SymmetryObject({ group, showAxes, showPlanes, showInversion, autoRotate
           );
           
           return (
-            <mesh key={`mirror-${i}`} quaternion={quaternion}>
+            <mesh key={`mirror-${i}`} name={`Mirror ${formatPlaneIndices(op.hkl)}`} quaternion={quaternion}>
               <planeGeometry args={[2.5, 2.5]} />
               <meshBasicMaterial
-                color="#2196f3"
+                color={highlighted.includes(op) ? HIGHLIGHT_COLOR : '#2196f3'}
                 transparent={true}
-                opacity={0.5}
+                opacity={highlighted.includes(op) ? 0.75 : 0.5}
                 side={THREE.DoubleSide}
               />
+              {/* Bold edges, like the mirror lines of a stereogram */}
+              <Line
+                points={MIRROR_OUTLINE}
+                color={highlighted.includes(op) ? HIGHLIGHT_COLOR : '#0d47a1'}
+                lineWidth={3}
+                userData={{ export: false }}
+              />
             </mesh>
           );
         }
@@ -632,9 +869,9 @@ function SymmetryObject({ group, showAxes, showPlanes, showInversion, autoRotate
         if (op.type === 'inversion' && showInversion) {
           return (
             <group key={`inv-${i}`}>
-              <mesh>
+              <mesh name="Inversion centre">
                 <sphereGeometry args={[0.15, 16, 16]} />
-                <meshBasicMaterial color="#1a1a1a" />
+                <meshBasicMaterial color={highlighted.includes(op) ? HIGHLIGHT_COLOR : '#1a1a1a'} />
               </mesh>
               <Html position={[0, 0.3, 0]}>
                 <div style={{
@@ -658,61 +895,615 @@ function SymmetryObject({ group, showAxes, showPlanes, showInversion, autoRotate
   );
 }
 
-function Scene({ group, showAxes, showPlanes, showInversion, autoRotate, animationMode }) {
+// Group name over each view of a comparison
+const VIEW_LABEL_STYLE = {
+  position: 'absolute',
+  top: '10px',
+  left: '12px',
+  padding: '4px 8px',
+  background: 'rgba(255,255,255,0.9)',
+  borderRadius: '4px',
+  fontSize: '13px',
+  fontWeight: '600',
+  color: '#333',
+  pointerEvents: 'none'
+};
+
+// With a structure loaded, the shape moves aside to make room for its unit cell
+const STRUCTURE_OFFSET = 1.8;
+
+// Moves the camera to `view` whenever a new one is given: a link being
+// opened, or the browser going back or forward
+function CameraView({ view }) {
+  const { camera, controls } = useThree();
+  const appliedRef = useRef(null);
+  useEffect(() => {
+    if (!view || !controls || appliedRef.current === view) return;
+    appliedRef.current = view;
+    camera.position.set(...view.position);
+    controls.target.set(...view.target);
+    controls.update();
+  }, [view, camera, controls]);
+  return null;
+}
+
+// Seconds a "view along" move takes
+const MOVE_DURATION = 0.8;
+
+// Swings the camera round to look down `request.direction` at the origin,
+// keeping its distance, each time a new request is made
+function CameraMove({ request }) {
+  const { camera, controls } = useThree();
+  const moveRef = useRef(null);
+  const appliedRef = useRef(null);
+  useEffect(() => {
+    if (!request || !controls || appliedRef.current === request) return;
+    appliedRef.current = request;
+    const from = camera.position.clone().sub(controls.target);
+    moveRef.current = {
+      distance: from.length(),
+      from: from.normalize(),
+      turn: new THREE.Quaternion().setFromUnitVectors(from, new THREE.Vector3(...request.direction).normalize()),
+      fromTarget: controls.target.clone(),
+      t: 0
+    };
+  }, [request, camera, controls]);
+  useFrame((state, delta) => {
+    const move = moveRef.current;
+    if (!move || !controls) return;
+    move.t = Math.min(1, move.t + delta / MOVE_DURATION);
+    const s = move.t * move.t * (3 - 2 * move.t);
+    const direction = move.from.clone().applyQuaternion(new THREE.Quaternion().slerp(move.turn, s));
+    controls.target.copy(move.fromTarget).multiplyScalar(1 - s);
+    camera.position.copy(controls.target).addScaledVector(direction, move.distance);
+    controls.update();
+    if (move.t === 1) moveRef.current = null;
+  });
+  return null;
+}
+
+// Field of view of the perspective camera, in degrees
+const FOV = 50;
+
+// Swaps the perspective camera for an orthographic one or back. The new
+// camera takes over the old one's viewpoint at the same apparent scale.
+function ProjectionCamera({ orthographic }) {
+  const { camera, controls, size, set } = useThree();
+  useEffect(() => {
+    if (Boolean(camera.isOrthographicCamera) === orthographic) return;
+    const target = controls ? controls.target.clone() : new THREE.Vector3();
+    const offset = camera.position.clone().sub(target);
+    const tanHalf = Math.tan(THREE.MathUtils.degToRad(FOV / 2));
+    let next;
+    if (orthographic) {
+      next = new THREE.OrthographicCamera(-size.width / 2, size.width / 2, size.height / 2, -size.height / 2, 0.1, 1000);
+      next.zoom = size.height / (2 * offset.length() * tanHalf);
+      next.position.copy(camera.position);
+    } else {
+      next = new THREE.PerspectiveCamera(FOV, size.width / size.height, 0.1, 1000);
+      const distance = size.height / (2 * camera.zoom * tanHalf);
+      next.position.copy(target).addScaledVector(offset.normalize(), distance);
+    }
+    next.up.copy(camera.up);
+    next.lookAt(target);
+    next.updateProjectionMatrix();
+    set({ camera: next });
+  }, [orthographic, camera, controls, size, set]);
+  return null;
+}
+
+// Put one linked view where another is: camera position, orbit target
+// and, for orthographic cameras, zoom
+function copyView(to, from) {
+  to.camera.position.copy(from.camera.position);
+  to.controls.target.copy(from.controls.target);
+  if (to.camera.zoom !== from.camera.zoom) {
+    to.camera.zoom = from.camera.zoom;
+    to.camera.updateProjectionMatrix();
+  }
+}
+
+// Keeps side-by-side views looking the same way: moving one camera moves
+// every other view in `link` to the same position and target
+function CameraLink({ link }) {
+  const { camera, controls } = useThree();
+  useEffect(() => {
+    if (!link || !controls) return;
+    const views = link.current;
+    const self = { camera, controls };
+    const follow = (from) => {
+      for (const view of views) {
+        if (view === from) continue;
+        copyView(view, from);
+      }
+    };
+    // A view that opens later starts where the others are
+    const leader = views.values().next().value;
+    if (leader) {
+      copyView(self, leader);
+      controls.update();
+    }
+    views.add(self);
+    const onChange = () => follow(self);
+    controls.addEventListener('change', onChange);
+    return () => {
+      views.delete(self);
+      controls.removeEventListener('change', onChange);
+    };
+  }, [link, camera, controls]);
+  return null;
+}
+
+function Scene({ group, showAxes, showPlanes, showInversion, autoRotate, animationMode, onSequenceComplete, highlighted, shapeGeometry, molecule, structure, modelRef, cameraView, onCameraChange, cameraLink, timeline, clockRef, playing, speed, viewRequest, orthographic = false, orbit, onOrbitDrag, showMotif }) {
   return (
     <>
       <color attach="background" args={['#f8f9fa']} />
       <ambientLight intensity={0.6} />
       <directionalLight position={[5, 5, 5]} intensity={0.8} />
       <directionalLight position={[-5, -5, -5]} intensity={0.3} />
-      <SymmetryObject 
-        group={group} 
-        showAxes={showAxes}
-        showPlanes={showPlanes}
-        showInversion={showInversion}
-        autoRotate={autoRotate}
-        animationMode={animationMode}
+      <group ref={modelRef} position={[structure ? -STRUCTURE_OFFSET : 0, 0, 0]}>
+        <SymmetryObject 
+          group={group} 
+          showAxes={showAxes}
+          showPlanes={showPlanes}
+          showInversion={showInversion}
+          autoRotate={autoRotate}
+          animationMode={animationMode}
+          onSequenceComplete={onSequenceComplete}
+          highlighted={highlighted}
+          shapeGeometry={shapeGeometry}
+          molecule={molecule}
+          timeline={timeline}
+          clockRef={clockRef}
+          playing={playing}
+          speed={speed}
+          orbit={orbit}
+          onOrbitDrag={onOrbitDrag}
+          showMotif={showMotif}
+        />
+      </group>
+      {structure && (
+        <group position={[STRUCTURE_OFFSET, 0, 0]}>
+          <UnitCellModel
+            structure={structure.cif}
+            atoms={structure.atoms}
+            orientation={structure.orientation}
+            spinning={autoRotate && !animationMode}
+          />
+        </group>
+      )}
+      <OrbitControls
+        makeDefault
+        enablePan={true}
+        enableZoom={true}
+        enableRotate={true}
+        onEnd={(e) => onCameraChange({
+          position: e.target.object.position.toArray(),
+          target: e.target.target.toArray()
+        })}
       />
-      <OrbitControls enablePan={true} enableZoom={true} enableRotate={true} />
+      <ProjectionCamera orthographic={orthographic} />
+      <CameraView view={cameraView} />
+      <CameraMove request={viewRequest} />
+      <CameraLink link={cameraLink} />
       <gridHelper args={[10, 20, '#cccccc', '#e0e0e0']} position={[0, -2, 0]} />
     </>
   );
 }
 
+// Where the orbit viewer starts: off every element of every group
+const ORBIT_START = [0.9, 0.2, 0.5];
+
+// 'at the centre', 'on a 4-fold axis and 2 mirrors'
+function describeSite({ atCentre, axisOrder, mirrors }) {
+  if (atCentre) return 'at the centre';
+  const parts = [];
+  if (axisOrder > 1) parts.push(`a ${axisOrder}-fold axis`);
+  if (mirrors > 0) parts.push(mirrors === 1 ? 'a mirror' : `${mirrors} mirrors`);
+  return `on ${parts.join(' and ')}`;
+}
+
+function formatHkl(hkl) {
+  return hkl.map(x => (x < 0 ? `-${-x}` : x)).join('');
+}
+
+function describeAnimation({ steps, source }) {
+  if (!source) return steps.map(el => el.symbol).join(' then ');
+  if (source.type === 'rotation' && source.roto) {
+    return `${source.order}̄ rotoinversion about ${formatIndices(source.indices)}: ` +
+      `rotate ${360 / source.order}°, then invert through the center`;
+  }
+  if (source.type === 'rotation') {
+    return `${source.order}-fold rotation about ${formatIndices(source.indices)}`;
+  }
+  if (source.type === 'mirror') {
+    return `Reflection across the plane ${formatPlaneIndices(source.hkl)}`;
+  }
+  return 'Inversion through center';
+}
+
 export default function CrystalSymmetryExplorer() {
-  const [selectedGroup, setSelectedGroup] = useState(pointGroups[0]);
-  const [showAxes, setShowAxes] = useState(true);
-  const [showPlanes, setShowPlanes] = useState(true);
-  const [showInversion, setShowInversion] = useState(true);
-  const [autoRotate, setAutoRotate] = useState(true);
-  const [filterSystem, setFilterSystem] = useState('All');
-  const [animationMode, setAnimationMode] = useState(null);
-  
-  const systems = ['All', 'Triclinic', 'Monoclinic', 'Orthorhombic', 'Tetragonal', 'Trigonal', 'Hexagonal', 'Cubic'];
+  // A shared link opens on the view it describes
+  const [initialView] = useState(() => decodeView(window.location.search));
+  const [selectedGroup, setSelectedGroup] = useState(() => groupForId(initialView.groupId) || pointGroups[0]);
+  const [showAxes, setShowAxes] = useState(initialView.toggles.axes);
+  const [showPlanes, setShowPlanes] = useState(initialView.toggles.planes);
+  const [showInversion, setShowInversion] = useState(initialView.toggles.inversion);
+  const [autoRotate, setAutoRotate] = useState(initialView.toggles.spin);
+  const [filterSystem, setFilterSystem] = useState(
+    systems.includes(initialView.filterSystem) ? initialView.filterSystem : 'All'
+  );
+  const [animationMode, setAnimationMode] = useState(() => animationFromView(selectedGroup, initialView.animation));
+  const [cayleyCell, setCayleyCell] = useState(null);
+  const [sequenceDone, setSequenceDone] = useState(false);
+  const [highlighted, setHighlighted] = useState([]);
+  const [pinnedHighlight, setPinnedHighlight] = useState([]);
+  const [selectedClass, setSelectedClass] = useState(null);
+  const [showLattice, setShowLattice] = useState(false);
+  const [latticeEdge, setLatticeEdge] = useState(null);
+  const [forms, setForms] = useState([]);
+  const [formInput, setFormInput] = useState('1 0 0');
+  const [formError, setFormError] = useState(null);
+  const [symbolInput, setSymbolInput] = useState('');
+  const [symbolError, setSymbolError] = useState(null);
+  const [molecule, setMolecule] = useState(null);
+  const [moleculeTolerance, setMoleculeTolerance] = useState(0.1);
+  const [moleculeError, setMoleculeError] = useState(null);
+  const [structure, setStructure] = useState(null);
+  const [structureError, setStructureError] = useState(null);
+  const [cells, setCells] = useState({});
+  const [exportError, setExportError] = useState(null);
+  const modelRef = useRef();
+  // Camera as last left by the user, and a view it should jump to
+  const [camera, setCamera] = useState(initialView.camera);
+  const [cameraJump, setCameraJump] = useState(initialView.camera);
+  const [compareGroup, setCompareGroup] = useState(null);
+  const cameraLink = useRef(new Set());
+  const [quizQuestion, setQuizQuestion] = useState(null);
+  const [quizElements, setQuizElements] = useState(false);
+  const [composing, setComposing] = useState(false);
+  const [animationPlaying, setAnimationPlaying] = useState(true);
+  const [animationSpeed, setAnimationSpeed] = useState(1);
+  const [animationTrails, setAnimationTrails] = useState(false);
+  const [viewRequest, setViewRequest] = useState(null);
+  const [orthographic, setOrthographic] = useState(false);
+  // Marker point of the orbit viewer, as placed before snapping; null when off
+  const [orbitPoint, setOrbitPoint] = useState(null);
+  // Coordinates as typed, by axis, while they are being edited
+  const [orbitDraft, setOrbitDraft] = useState({});
+  const [showMotif, setShowMotif] = useState(false);
+  // Seconds into the animation, advanced by the scene and set by the timeline
+  const animationClock = useRef({ time: 0 });
+  const [composition, setComposition] = useState([]);
   
   const filteredGroups = filterSystem === 'All' 
     ? pointGroups 
     : pointGroups.filter(g => g.system === filterSystem);
   
-  // Animation control - simplified
-  const startAnimation = (operation) => {
-    setAnimationMode(operation);
+  // Animation control: `steps` are group elements played in order, and
+  // `source` is the symmetry element a button was pressed for
+  const startAnimation = (steps, source = null) => {
+    setAnimationMode({ steps, source });
+    setAnimationPlaying(true);
+    setSequenceDone(false);
     setAutoRotate(false);
   };
   
+  // While composing, the operation buttons queue operations instead of
+  // playing them
+  const animateOperation = (op) => {
+    const element = classifyMatrix(operationMatrix(op), basisForSystem(selectedGroup.system));
+    if (composing) setComposition([...composition, element]);
+    else startAnimation([element], op);
+  };
+  
   const stopAnimation = () => {
     setAnimationMode(null);
+    setCayleyCell(null);
+  };
+  
+  const selectGroup = (group) => {
+    setSelectedGroup(group);
+    stopAnimation();
+    setComposition([]);
+    setPinnedHighlight([]);
+    setSelectedClass(null);
+    setLatticeEdge(null);
+    if (filterSystem !== 'All' && filterSystem !== group.system) {
+      setFilterSystem('All');
+    }
+  };
+  
+  // Build a group from a Hermann–Mauguin or Schoenflies symbol
+  const buildFromSymbol = () => {
+    try {
+      const group = groupForSymbol(symbolInput);
+      setSymbolError(null);
+      selectGroup(group);
+    } catch (err) {
+      setSymbolError(err.message);
+    }
+  };
+  
+  // Detect a molecule's point group and, when it is one of the 32, show
+  // that group with the molecule turned onto its symmetry elements
+  const analyzeMolecule = (file, tolerance) => {
+    const detected = detectMoleculeSymmetry(file.atoms, tolerance, pointGroups);
+    setMolecule({ ...detected, file, bonds: file.bonds });
+    if (detected.group) selectGroup(detected.group);
   };
   
-  // Get available operations for current group
-  const rotations = selectedGroup.operations.filter(op => op.type === 'rotation');
-  const mirrors = selectedGroup.operations.filter(op => op.type === 'mirror');
-  const hasInversion = selectedGroup.operations.some(op => op.type === 'inversion');
+  const loadMolecule = (file) => {
+    if (!file) return;
+    file.text().then(text => {
+      try {
+        const parsed = parseMolecule(text, file.name);
+        setMoleculeError(null);
+        setStructure(null);
+        analyzeMolecule({ ...parsed, fileName: file.name }, moleculeTolerance);
+      } catch (err) {
+        setMoleculeError(err.message);
+      }
+    }).catch(err => setMoleculeError(`Could not read ${file.name}: ${err.message}`));
+  };
+  
+  // Read a CIF, find its crystal class from the rotation parts of the
+  // operators and show that group beside the structure's unit cell
+  const loadStructure = (file) => {
+    if (!file) return;
+    file.text().then(text => {
+      try {
+        const cif = parseCif(text);
+        const { group, orientation } = crystalClass(cif, pointGroups);
+        setStructure({ cif, fileName: file.name, group, orientation, atoms: unitCellAtoms(cif) });
+        // A cell already in the standard setting shapes the ideal crystal too
+        if (matricesEqual(orientation, IDENTITY)) {
+          setCells(current => ({ ...current, [group.system]: constrainCell(group.system, cif.cell) }));
+        }
+        setStructureError(null);
+        setMolecule(null);
+        selectGroup(group);
+      } catch (err) {
+        setStructureError(err.message);
+      }
+    }).catch(err => setStructureError(`Could not read ${file.name}: ${err.message}`));
+  };
+  
+  // Files dropped on the view: CIFs are structures, the rest molecules
+  const dropFile = (file) => {
+    if (file && /\.cif$/i.test(file.name)) loadStructure(file);
+    else loadMolecule(file);
+  };
+  
+  const changeMoleculeTolerance = (tolerance) => {
+    setMoleculeTolerance(tolerance);
+    if (molecule) analyzeMolecule(molecule.file, tolerance);
+  };
+  
+  // Write what the canvas shows to a file: the model inside the offset
+  // group, named after the point group
+  const exportModel = async (exporter) => {
+    const model = modelRef.current?.children[0];
+    if (!model) return;
+    try {
+      setExportError(null);
+      await exporter(model, exportName(selectedGroup));
+    } catch (err) {
+      setExportError(err.message);
+    }
+  };
+  
+  // Selecting a lattice edge shows the supergroup with the elements that
+  // are broken on the way down to the subgroup
+  const selectLatticeEdge = (edge) => {
+    selectGroup(pointGroups.find(g => g.id === edge.from));
+    setLatticeEdge(edge);
+    setPinnedHighlight(edge.lost);
+  };
+  
+  // Full group and the symmetry elements it contains
+  const groupOps = useMemo(() => groupElements(selectedGroup), [selectedGroup]);
+  const motifCounts = {
+    proper: groupOps.filter(el => el.det > 0).length,
+    improper: groupOps.filter(el => el.det < 0).length
+  };
+  const orbit = useMemo(
+    () => (orbitPoint ? pointOrbit(orbitPoint, groupOps, pointGroups) : null),
+    [orbitPoint, groupOps]
+  );
+  const elements = useMemo(() => symmetryElements(groupOps), [groupOps]);
+  const rotations = elements.filter(op => op.type === 'rotation');
+  const mirrors = elements.filter(op => op.type === 'mirror');
+  const inversionOp = elements.find(op => op.type === 'inversion');
+  const hasInversion = Boolean(inversionOp);
+  const characters = useMemo(() => characterTable(selectedGroup), [selectedGroup]);
+  
+  // Selecting a conjugacy class pins the axes, planes and centre its
+  // operations act through
+  const selectClass = (index) => {
+    setSelectedClass(index);
+    setLatticeEdge(null);
+    if (index === null) {
+      setPinnedHighlight([]);
+      return;
+    }
+    const carriers = characters.classes[index].operations
+      .map(op => symmetryElementOf(op, groupOps))
+      .filter(Boolean);
+    setPinnedHighlight([...new Set(carriers)]);
+  };
+  const classOperations = selectedClass !== null ? characters.classes[selectedClass].operations : [];
+  
+  // Comparison with a second group: the elements each has that the other
+  // lacks, highlighted in both views unless something else is
+  const comparison = useMemo(() => {
+    if (!compareGroup) return null;
+    const other = groupElements(compareGroup);
+    return { onlyHere: lostElements(groupOps, other), onlyThere: lostElements(other, groupOps) };
+  }, [compareGroup, groupOps]);
+  
+  const startComparison = () => {
+    const sameSystem = pointGroups.filter(g => g.system === selectedGroup.system && g.id !== selectedGroup.id);
+    setCompareGroup(sameSystem[0] || pointGroups.find(g => g.id !== selectedGroup.id));
+  };
+  
+  // Keep the URL describing the view. A new group is a new history entry;
+  // anything else only rewrites the current one.
+  const viewSearch = encodeView({
+    groupId: selectedGroup.id,
+    filterSystem,
+    toggles: { axes: showAxes, planes: showPlanes, inversion: showInversion, spin: autoRotate },
+    animation: animationMode && {
+      steps: animationMode.steps.map(step => groupOps.findIndex(el => matricesEqual(el.matrix, step.matrix))),
+      source: animationMode.source ? elements.indexOf(animationMode.source) : null
+    },
+    camera
+  });
+  useEffect(() => {
+    if (window.location.search === `?${viewSearch}`) return;
+    const url = `${window.location.pathname}?${viewSearch}${window.location.hash}`;
+    const shownGroup = decodeView(window.location.search).groupId;
+    if (shownGroup && shownGroup !== selectedGroup.id) window.history.pushState(null, '', url);
+    else window.history.replaceState(null, '', url);
+  }, [viewSearch, selectedGroup.id]);
+  
+  // Back and forward restore the view the URL describes
+  useEffect(() => {
+    const restoreView = () => {
+      const view = decodeView(window.location.search);
+      const group = groupForId(view.groupId) || pointGroups[0];
+      setSelectedGroup(group);
+      setFilterSystem(systems.includes(view.filterSystem) ? view.filterSystem : 'All');
+      setShowAxes(view.toggles.axes);
+      setShowPlanes(view.toggles.planes);
+      setShowInversion(view.toggles.inversion);
+      setAutoRotate(view.toggles.spin);
+      setAnimationMode(animationFromView(group, view.animation));
+      setCayleyCell(null);
+      setComposition([]);
+      setPinnedHighlight([]);
+      setSelectedClass(null);
+      setLatticeEdge(null);
+      setCamera(view.camera);
+      if (view.camera) setCameraJump(view.camera);
+    };
+    window.addEventListener('popstate', restoreView);
+    return () => window.removeEventListener('popstate', restoreView);
+  }, []);
+  
+  // Cell of the selected system, as edited or the system's standard one
+  const cell = cells[selectedGroup.system] || standardCell(selectedGroup.system);
+  const setCell = (next) => setCells({ ...cells, [selectedGroup.system]: next });
+  
+  // Crystal built from the user's {hkl} forms, or the group's own habit
+  const crystal = useMemo(
+    () => combineForms(forms.length > 0 ? forms : selectedGroup.habit, groupOps, selectedGroup.system, cell),
+    [forms, groupOps, selectedGroup, cell]
+  );
+  const formGeometry = useMemo(() => polyhedronGeometry(crystal.solid), [crystal]);
+  const shapeCheck = useMemo(() => {
+    const { operations, exact } = crystalSymmetry(crystal, groupOps);
+    const basis = basisForSystem(selectedGroup.system);
+    const actual = identifyPointGroup(operations.map(m => classifyMatrix(m, basis)), pointGroups);
+    return { order: operations.length, exact, actual };
+  }, [crystal, groupOps, selectedGroup.system]);
+  
+  const addForm = () => {
+    try {
+      const hkl = parseMillerIndices(formInput);
+      setForms([...forms, { hkl, distance: 1 }]);
+      setFormError(null);
+    } catch (err) {
+      setFormError(err.message);
+    }
+  };
+  
+  const setFormDistance = (index, distance) => {
+    setForms(forms.map((f, i) => (i === index ? { ...f, distance } : f)));
+  };
+  
+  // Hovered elements take precedence over ones pinned by a selection
+  const activeHighlight = highlighted.length > 0 ? highlighted : pinnedHighlight;
+  const sceneHighlight = activeHighlight.length === 0 && comparison ? comparison.onlyHere : activeHighlight;
+
+  // Row a, column b of the Cayley table: play b, then a, then show a · b
+  const playCayleyCell = (row, col) => {
+    setCayleyCell({ row, col });
+    startAnimation([groupOps[col], groupOps[row]]);
+  };
+  // Stages of the running animation; a new one starts from the beginning
+  const timeline = useMemo(
+    () => (animationMode ? animationTimeline(animationMode, animationTrails) : null),
+    [animationMode, animationTrails]
+  );
+  useEffect(() => {
+    animationClock.current.time = 0;
+  }, [timeline]);
+  
+  // Directions the camera can be sent to look down: the group's axes and
+  // mirror normals, then the usual directions of its crystal system
+  const viewDirections = [
+    ...rotations.map(op => ({
+      group: 'Symmetry axes',
+      label: `${op.roto ? '-' : ''}${op.order}-fold axis ${formatIndices(op.indices)}`,
+      direction: op.axis
+    })),
+    ...mirrors.map(op => ({
+      group: 'Mirror normals',
+      label: `Normal to m${formatPlaneIndices(op.hkl)}`,
+      direction: op.normal
+    })),
+    ...standardDirections(selectedGroup.system).map(uvw => ({
+      group: 'Crystal directions',
+      label: formatIndices(uvw),
+      direction: directionVector(uvw, cell)
+    }))
+  ];
+  
+  // Operation buttons queue while composing, so they only lock otherwise
+  const buttonsLocked = animationMode !== null && !composing;
+  
+  // A queued sequence equals a single element of the group: the product of
+  // its matrices, with the last operation on the left
+  const compositionProduct = useMemo(() => {
+    if (composition.length === 0) return null;
+    const m = composition.reduce((acc, el) => multiply(el.matrix, acc), IDENTITY);
+    return groupOps.find(el => matricesEqual(el.matrix, m)) || null;
+  }, [composition, groupOps]);
+  const compositionPlayed = sequenceDone && animationMode?.steps === composition;
+  
+  const cayleyProduct = cayleyCell && sequenceDone
+    ? groupOps.findIndex(el => matricesEqual(
+        el.matrix,
+        multiply(groupOps[cayleyCell.row].matrix, groupOps[cayleyCell.col].matrix)
+      ))
+    : null;
   
   return (
     <div style={{ display: 'flex', height: '100vh', fontFamily: 'system-ui, sans-serif' }}>
+      {/* Quiz panel, in place of the controls, which would give the answer away */}
+      {quizQuestion && (
+        <div style={{ 
+          width: '340px', 
+          padding: '20px', 
+          overflowY: 'auto',
+          background: '#ffffff',
+          borderRight: '1px solid #e0e0e0'
+        }}>
+          <Quiz
+            question={quizQuestion}
+            groups={pointGroups}
+            showElements={quizElements}
+            onShowElements={setQuizElements}
+            onQuestion={setQuizQuestion}
+            onExit={() => setQuizQuestion(null)}
+          />
+        </div>
+      )}
+      
       {/* Left Panel - Controls */}
       <div style={{ 
+        display: quizQuestion ? 'none' : 'block',
         width: '340px', 
         padding: '20px', 
         overflowY: 'auto',
@@ -779,9 +1570,7 @@ export default function CrystalSymmetryExplorer() {
           <select 
             value={selectedGroup.id}
             onChange={(e) => {
-              const group = pointGroups.find(g => g.id === e.target.value);
-              setSelectedGroup(group);
-              stopAnimation();
+              selectGroup(pointGroups.find(g => g.id === e.target.value));
             }}
             style={{ 
               width: '100%', 
@@ -792,12 +1581,227 @@ export default function CrystalSymmetryExplorer() {
               background: 'white'
             }}
           >
+            {selectedGroup.setting && (
+              <option value={selectedGroup.id}>
+                {selectedGroup.name} - {selectedGroup.system}
+              </option>
+            )}
             {filteredGroups.map(g => (
               <option key={g.id} value={g.id}>
                 {g.name} - {g.system}
               </option>
             ))}
           </select>
+          
+          <div style={{ display: 'flex', gap: '4px', marginTop: '8px' }}>
+            <input
+              type="text"
+              value={symbolInput}
+              onChange={(e) => setSymbolInput(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && buildFromSymbol()}
+              placeholder="Symbol, e.g. -4m2, m2m or D4h"
+              style={{ flex: 1, padding: '6px', fontSize: '13px', border: '1px solid #ccc', borderRadius: '4px' }}
+            />
+            <button
+              onClick={buildFromSymbol}
+              style={{
+                padding: '6px 10px',
+                fontSize: '12px',
+                background: '#667eea',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer'
+              }}
+            >
+              Build
+            </button>
+          </div>
+          {symbolError && (
+            <div style={{ marginTop: '4px', fontSize: '12px', color: '#c62828' }}>{symbolError}</div>
+          )}
+          {selectedGroup.setting && (
+            <div style={{ marginTop: '4px', fontSize: '12px', color: '#555' }}>
+              {selectedGroup.id} is {selectedGroup.standardId} in a non-standard setting
+            </div>
+          )}
+        </div>
+
+        {/* Search by Property */}
+        <div style={{ marginBottom: '20px' }}>
+          <label style={{
+            display: 'block',
+            marginBottom: '6px',
+            fontSize: '13px',
+            fontWeight: '600',
+            color: '#444'
+          }}>
+            Find Groups
+          </label>
+          <GroupSearch groups={pointGroups} selectedId={selectedGroup.id} onSelect={selectGroup} />
+        </div>
+        
+        {/* Molecule */}
+        <div style={{ 
+          marginBottom: '20px', 
+          padding: '12px', 
+          background: '#eceff1',
+          borderRadius: '6px',
+          borderLeft: '4px solid #607d8b'
+        }}>
+          <h3 style={{ 
+            margin: '0 0 6px 0', 
+            fontSize: '13px', 
+            fontWeight: '600',
+            color: '#37474f'
+          }}>
+            Molecule
+          </h3>
+          <p style={{ margin: '0 0 8px 0', fontSize: '12px', color: '#555', lineHeight: '1.5' }}>
+            Open or drop an .xyz or .mol file onto the view to find its point group. Atoms count as
+            equivalent when they land within the tolerance of each other.
+          </p>
+          <input
+            type="file"
+            accept=".xyz,.mol,.sdf"
+            onChange={(e) => {
+              loadMolecule(e.target.files[0]);
+              // Let the same file be chosen again after it has been edited
+              e.target.value = '';
+            }}
+            style={{ width: '100%', fontSize: '12px', marginBottom: '8px' }}
+          />
+          <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '12px', color: '#444' }}>
+            Tolerance
+            <input
+              type="range"
+              min="0.01"
+              max="0.5"
+              step="0.01"
+              value={moleculeTolerance}
+              onChange={(e) => changeMoleculeTolerance(Number(e.target.value))}
+              style={{ flex: 1 }}
+            />
+            {moleculeTolerance.toFixed(2)} Å
+          </label>
+          {moleculeError && (
+            <div style={{ marginTop: '6px', fontSize: '12px', color: '#c62828' }}>{moleculeError}</div>
+          )}
+          {molecule && (
+            <div style={{ marginTop: '8px', padding: '6px 8px', background: 'white', borderRadius: '4px', fontSize: '12px' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <span>
+                  <strong>{molecule.file.title || molecule.file.fileName}</strong>{' '}
+                  ({molecule.atoms.length} atom{molecule.atoms.length !== 1 ? 's' : ''})
+                </span>
+                <button
+                  onClick={() => setMolecule(null)}
+                  style={{
+                    padding: '0 6px',
+                    background: 'none',
+                    border: 'none',
+                    color: '#999',
+                    cursor: 'pointer',
+                    fontSize: '14px'
+                  }}
+                >
+                  ×
+                </button>
+              </div>
+              <div style={{ marginTop: '4px', color: '#333' }}>
+                Point group <strong>{molecule.name}</strong>
+                {molecule.group && ` = ${molecule.group.id}`}
+              </div>
+              {!molecule.group && (
+                <div style={{ marginTop: '4px', color: '#e65100' }}>
+                  {molecule.name} is not one of the 32 crystallographic point groups, so it has no
+                  entry here. The molecule is shown with its principal axis along z.
+                </div>
+              )}
+              {molecule.group && !molecule.aligned && (
+                <div style={{ marginTop: '4px', color: '#e65100' }}>
+                  The molecule could not be lined up with the symmetry elements at this tolerance.
+                </div>
+              )}
+              {molecule.group !== selectedGroup && (
+                <div style={{ marginTop: '4px', color: '#666' }}>
+                  The elements drawn are those of {selectedGroup.id}, not the molecule's group.
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+        
+        {/* Crystal Structure */}
+        <div style={{ 
+          marginBottom: '20px', 
+          padding: '12px', 
+          background: '#efebe9',
+          borderRadius: '6px',
+          borderLeft: '4px solid #8d6e63'
+        }}>
+          <h3 style={{ 
+            margin: '0 0 6px 0', 
+            fontSize: '13px', 
+            fontWeight: '600',
+            color: '#4e342e'
+          }}>
+            Crystal Structure (CIF)
+          </h3>
+          <p style={{ margin: '0 0 8px 0', fontSize: '12px', color: '#555', lineHeight: '1.5' }}>
+            Open or drop a .cif file. Its crystal class comes from the rotation parts of the
+            symmetry operators; the unit cell is drawn beside the class's ideal shape.
+          </p>
+          <input
+            type="file"
+            accept=".cif"
+            onChange={(e) => {
+              loadStructure(e.target.files[0]);
+              e.target.value = '';
+            }}
+            style={{ width: '100%', fontSize: '12px' }}
+          />
+          {structureError && (
+            <div style={{ marginTop: '6px', fontSize: '12px', color: '#c62828' }}>{structureError}</div>
+          )}
+          {structure && (
+            <div style={{ marginTop: '8px', padding: '6px 8px', background: 'white', borderRadius: '4px', fontSize: '12px' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <span>
+                  <strong>{structure.cif.name || structure.fileName}</strong>
+                  {structure.cif.spaceGroup && ` (${structure.cif.spaceGroup})`}
+                </span>
+                <button
+                  onClick={() => setStructure(null)}
+                  style={{
+                    padding: '0 6px',
+                    background: 'none',
+                    border: 'none',
+                    color: '#999',
+                    cursor: 'pointer',
+                    fontSize: '14px'
+                  }}
+                >
+                  ×
+                </button>
+              </div>
+              <div style={{ marginTop: '4px', fontFamily: 'monospace', color: '#555' }}>
+                a={structure.cif.cell.a} b={structure.cif.cell.b} c={structure.cif.cell.c} Å
+                <br />
+                α={structure.cif.cell.alpha}° β={structure.cif.cell.beta}° γ={structure.cif.cell.gamma}°
+              </div>
+              <div style={{ marginTop: '4px', color: '#333' }}>
+                {structure.cif.symops.length} operator{structure.cif.symops.length !== 1 ? 's' : ''} •
+                crystal class <strong>{structure.group.id}</strong> ({structure.group.schoenflies}) •{' '}
+                {structure.atoms.length} atoms drawn
+              </div>
+              {structure.group !== selectedGroup && (
+                <div style={{ marginTop: '4px', color: '#666' }}>
+                  The elements drawn are those of {selectedGroup.id}, not the structure's class.
+                </div>
+              )}
+            </div>
+          )}
         </div>
         
         {/* Display Options */}
@@ -867,6 +1871,30 @@ export default function CrystalSymmetryExplorer() {
             <span style={{ marginLeft: '6px' }}>Inversion center</span>
           </label>
           
+          <label style={{ 
+            display: 'flex', 
+            alignItems: 'center', 
+            marginBottom: '8px',
+            cursor: 'pointer',
+            fontSize: '13px'
+          }}>
+            <input 
+              type="checkbox" 
+              checked={showMotif}
+              onChange={(e) => setShowMotif(e.target.checked)}
+              style={{ marginRight: '8px' }}
+            />
+            <span style={{ color: MOTIF_PROPER_COLOR, fontWeight: '500' }}>●</span>
+            <span style={{ marginLeft: '6px' }}>Chiral motif at a general position</span>
+          </label>
+          {showMotif && (
+            <div style={{ margin: '-4px 0 8px 22px', fontSize: '12px', color: '#666', lineHeight: '1.5' }}>
+              {motifCounts.improper === 0
+                ? `${motifCounts.proper === 1 ? 'One motif' : `${motifCounts.proper} copies, all of the same hand`}: no mirror image is made, so the group is enantiomorphic.`
+                : `${motifCounts.proper} cop${motifCounts.proper === 1 ? 'y' : 'ies'} of one hand and ${motifCounts.improper} mirror image${motifCounts.improper === 1 ? '' : 's'}.`}
+            </div>
+          )}
+          
           <label style={{ 
             display: 'flex', 
             alignItems: 'center',
@@ -881,6 +1909,195 @@ export default function CrystalSymmetryExplorer() {
             />
             <span style={{ marginLeft: '6px' }}>Auto-rotate</span>
           </label>
+          
+          <label style={{ 
+            display: 'flex', 
+            alignItems: 'center',
+            marginTop: '8px',
+            cursor: 'pointer',
+            fontSize: '13px'
+          }}>
+            <input 
+              type="checkbox" 
+              checked={orthographic}
+              onChange={(e) => setOrthographic(e.target.checked)}
+              style={{ marginRight: '8px' }}
+            />
+            <span style={{ marginLeft: '6px' }}>Orthographic projection</span>
+          </label>
+          
+          <select
+            value=""
+            onChange={(e) => {
+              const choice = viewDirections[Number(e.target.value)];
+              setViewRequest({ direction: choice.direction });
+              setAutoRotate(false);
+            }}
+            style={{ 
+              width: '100%', 
+              marginTop: '10px',
+              padding: '6px', 
+              fontSize: '13px',
+              border: '1px solid #ccc',
+              borderRadius: '4px',
+              background: 'white'
+            }}
+          >
+            <option value="" disabled>View along…</option>
+            {['Symmetry axes', 'Mirror normals', 'Crystal directions'].map(name => (
+              viewDirections.some(d => d.group === name) && (
+                <optgroup key={name} label={name}>
+                  {viewDirections.map((d, i) => d.group === name && (
+                    <option key={i} value={i}>{d.label}</option>
+                  ))}
+                </optgroup>
+              )
+            ))}
+          </select>
+          
+          <div style={{ marginTop: '12px', fontSize: '12px', fontWeight: '600', color: '#444' }}>
+            Export model
+          </div>
+          <div style={{ display: 'flex', gap: '6px', marginTop: '6px' }}>
+            {[
+              ['glTF', exportGLTF, 'Crystal and symmetry elements as named nodes (.glb)'],
+              ['OBJ', exportOBJ, 'Crystal and symmetry elements as named objects'],
+              ['STL', exportSTL, 'The shape alone, in millimetres, for 3D printing']
+            ].map(([label, exporter, title]) => (
+              <button
+                key={label}
+                onClick={() => exportModel(exporter)}
+                title={title}
+                style={{
+                  flex: 1,
+                  padding: '5px 8px',
+                  fontSize: '12px',
+                  background: '#fff',
+                  color: '#444',
+                  border: '1px solid #bbb',
+                  borderRadius: '4px',
+                  cursor: 'pointer'
+                }}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {exportError && <div style={{ marginTop: '6px', fontSize: '12px', color: '#c62828' }}>{exportError}</div>}
+        </div>
+        
+        {/* Side-by-side comparison */}
+        <div style={{ 
+          marginBottom: '20px', 
+          padding: '12px', 
+          background: '#e0f7fa',
+          borderRadius: '6px',
+          borderLeft: '4px solid #00acc1'
+        }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            <h3 style={{ 
+              margin: '0', 
+              fontSize: '13px', 
+              fontWeight: '600',
+              color: '#00838f'
+            }}>
+              Compare Groups
+            </h3>
+            <button
+              onClick={() => (compareGroup ? setCompareGroup(null) : startComparison())}
+              style={{
+                padding: '4px 8px',
+                background: '#00acc1',
+                color: 'white',
+                border: 'none',
+                borderRadius: '3px',
+                cursor: 'pointer',
+                fontSize: '11px',
+                fontWeight: '600'
+              }}
+            >
+              {compareGroup ? 'Close' : 'Compare'}
+            </button>
+          </div>
+          {compareGroup && (
+            <>
+              <select
+                value={compareGroup.id}
+                onChange={(e) => setCompareGroup(pointGroups.find(g => g.id === e.target.value))}
+                style={{ 
+                  width: '100%', 
+                  marginTop: '8px',
+                  padding: '6px', 
+                  fontSize: '13px',
+                  border: '1px solid #ccc',
+                  borderRadius: '4px',
+                  background: 'white'
+                }}
+              >
+                {pointGroups.map(g => (
+                  <option key={g.id} value={g.id}>
+                    {g.name} - {g.system}
+                  </option>
+                ))}
+              </select>
+              <div style={{ marginTop: '8px', fontSize: '12px', color: '#333', lineHeight: '1.6' }}>
+                {[
+                  [selectedGroup, comparison.onlyHere],
+                  [compareGroup, comparison.onlyThere]
+                ].map(([group, only], i) => (
+                  <div key={i}>
+                    <strong>Only in {group.id}:</strong>{' '}
+                    <span style={{ fontFamily: 'monospace', color: '#e65100' }}>
+                      {only.length > 0 ? only.map(elementLabel).join(' ') : 'nothing'}
+                    </span>
+                  </div>
+                ))}
+              </div>
+              <p style={{ margin: '6px 0 0 0', fontSize: '11px', color: '#666', lineHeight: '1.5' }}>
+                Elements the other group lacks are highlighted. Both views turn together,
+                and auto-rotate pauses while comparing.
+              </p>
+            </>
+          )}
+        </div>
+        
+        {/* Quiz */}
+        <div style={{ 
+          marginBottom: '20px', 
+          padding: '12px', 
+          background: '#fffde7',
+          borderRadius: '6px',
+          borderLeft: '4px solid #fbc02d'
+        }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            <h3 style={{ 
+              margin: '0', 
+              fontSize: '13px', 
+              fontWeight: '600',
+              color: '#f57f17'
+            }}>
+              Test Yourself
+            </h3>
+            <button
+              onClick={() => setQuizQuestion(nextQuestion(pointGroups, loadMistakes()))}
+              style={{
+                padding: '4px 8px',
+                background: '#fbc02d',
+                color: '#3e2723',
+                border: 'none',
+                borderRadius: '3px',
+                cursor: 'pointer',
+                fontSize: '11px',
+                fontWeight: '600'
+              }}
+            >
+              Start quiz
+            </button>
+          </div>
+          <p style={{ margin: '8px 0 0 0', fontSize: '12px', color: '#555', lineHeight: '1.5' }}>
+            Identify random crystals with everything else hidden. Groups you get wrong
+            come back more often.
+          </p>
         </div>
         
         {/* Animation Controls */}
@@ -930,6 +2147,19 @@ export default function CrystalSymmetryExplorer() {
             </div>
           )}
           
+          {timeline && (
+            <Timeline
+              clockRef={animationClock}
+              timeline={timeline}
+              playing={animationPlaying}
+              onPlayingChange={setAnimationPlaying}
+              speed={animationSpeed}
+              onSpeedChange={setAnimationSpeed}
+              trails={animationTrails}
+              onTrailsChange={setAnimationTrails}
+            />
+          )}
+          
           {rotations.length > 0 && (
             <div style={{ marginBottom: '8px' }}>
               <div style={{ fontSize: '12px', fontWeight: '600', marginBottom: '4px', color: '#555' }}>
@@ -939,21 +2169,21 @@ export default function CrystalSymmetryExplorer() {
                 {rotations.map((op, i) => (
                   <button
                     key={i}
-                    onClick={() => startAnimation(op)}
-                    disabled={animationMode !== null}
+                    onClick={() => animateOperation(op)}
+                    disabled={buttonsLocked}
                     style={{
                       padding: '6px 10px',
-                      background: animationMode === op ? '#ff9800' : '#fff',
-                      color: animationMode === op ? '#fff' : '#e63946',
+                      background: animationMode?.source === op ? '#ff9800' : '#fff',
+                      color: animationMode?.source === op ? '#fff' : '#e63946',
                       border: '1px solid #e63946',
                       borderRadius: '4px',
-                      cursor: animationMode ? 'not-allowed' : 'pointer',
+                      cursor: buttonsLocked ? 'not-allowed' : 'pointer',
                       fontSize: '12px',
                       fontWeight: '600',
-                      opacity: animationMode && animationMode !== op ? 0.5 : 1
+                      opacity: buttonsLocked && animationMode.source !== op ? 0.5 : 1
                     }}
                   >
-                    {op.order}{op.roto ? '̄' : ''}-fold
+                    {op.order}{op.roto ? '̄' : ''}-fold {formatIndices(op.indices)}
                   </button>
                 ))}
               </div>
@@ -969,21 +2199,21 @@ export default function CrystalSymmetryExplorer() {
                 {mirrors.map((op, i) => (
                   <button
                     key={i}
-                    onClick={() => startAnimation(op)}
-                    disabled={animationMode !== null}
+                    onClick={() => animateOperation(op)}
+                    disabled={buttonsLocked}
                     style={{
                       padding: '6px 10px',
-                      background: animationMode === op ? '#ff9800' : '#fff',
-                      color: animationMode === op ? '#fff' : '#2196f3',
+                      background: animationMode?.source === op ? '#ff9800' : '#fff',
+                      color: animationMode?.source === op ? '#fff' : '#2196f3',
                       border: '1px solid #2196f3',
                       borderRadius: '4px',
-                      cursor: animationMode ? 'not-allowed' : 'pointer',
+                      cursor: buttonsLocked ? 'not-allowed' : 'pointer',
                       fontSize: '12px',
                       fontWeight: '600',
-                      opacity: animationMode && animationMode !== op ? 0.5 : 1
+                      opacity: buttonsLocked && animationMode.source !== op ? 0.5 : 1
                     }}
                   >
-                    Mirror {i + 1}
+                    m{formatPlaneIndices(op.hkl)}
                   </button>
                 ))}
               </div>
@@ -996,18 +2226,18 @@ export default function CrystalSymmetryExplorer() {
                 Inversion:
               </div>
               <button
-                onClick={() => startAnimation({ type: 'inversion' })}
-                disabled={animationMode !== null}
+                onClick={() => animateOperation(inversionOp)}
+                disabled={buttonsLocked}
                 style={{
                   padding: '6px 10px',
-                  background: animationMode?.type === 'inversion' ? '#ff9800' : '#fff',
-                  color: animationMode?.type === 'inversion' ? '#fff' : '#1a1a1a',
+                  background: animationMode?.source === inversionOp ? '#ff9800' : '#fff',
+                  color: animationMode?.source === inversionOp ? '#fff' : '#1a1a1a',
                   border: '1px solid #1a1a1a',
                   borderRadius: '4px',
-                  cursor: animationMode ? 'not-allowed' : 'pointer',
+                  cursor: buttonsLocked ? 'not-allowed' : 'pointer',
                   fontSize: '12px',
                   fontWeight: '600',
-                  opacity: animationMode && animationMode?.type !== 'inversion' ? 0.5 : 1
+                  opacity: buttonsLocked && animationMode.source !== inversionOp ? 0.5 : 1
                 }}
               >
                 Invert
@@ -1020,6 +2250,85 @@ export default function CrystalSymmetryExplorer() {
               No symmetry operations to animate
             </div>
           )}
+          
+          {/* Sequence composer */}
+          {(rotations.length > 0 || mirrors.length > 0 || hasInversion) && (
+            <div style={{ marginTop: '10px', paddingTop: '10px', borderTop: '1px solid #ffe0b2' }}>
+              <label style={{ 
+                display: 'flex', 
+                alignItems: 'center', 
+                cursor: 'pointer', 
+                fontSize: '12px', 
+                fontWeight: '600', 
+                color: '#555' 
+              }}>
+                <input 
+                  type="checkbox" 
+                  checked={composing}
+                  onChange={(e) => setComposing(e.target.checked)}
+                  style={{ marginRight: '8px' }}
+                />
+                Compose a sequence
+              </label>
+              {composing && (
+                <div style={{ marginTop: '8px', fontSize: '12px', color: '#333' }}>
+                  <div style={{ fontFamily: 'monospace', marginBottom: '6px', lineHeight: '1.5' }}>
+                    {composition.length > 0
+                      ? composition.map(el => el.symbol).join(' → ')
+                      : 'Click operations above to queue them'}
+                  </div>
+                  <div style={{ display: 'flex', gap: '6px' }}>
+                    {[
+                      ['Play', () => startAnimation(composition)],
+                      ['Undo', () => setComposition(composition.slice(0, -1))],
+                      ['Clear', () => setComposition([])]
+                    ].map(([label, action]) => (
+                      <button
+                        key={label}
+                        onClick={action}
+                        disabled={composition.length === 0}
+                        style={{
+                          padding: '4px 10px',
+                          background: label === 'Play' ? '#e65100' : '#fff',
+                          color: label === 'Play' ? '#fff' : '#e65100',
+                          border: '1px solid #e65100',
+                          borderRadius: '3px',
+                          cursor: composition.length === 0 ? 'not-allowed' : 'pointer',
+                          fontSize: '11px',
+                          fontWeight: '600',
+                          opacity: composition.length === 0 ? 0.5 : 1
+                        }}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                  {compositionPlayed && compositionProduct && (
+                    <div style={{ marginTop: '8px', padding: '8px', background: '#ffecb3', borderRadius: '4px' }}>
+                      Equivalent to the single operation <strong>{compositionProduct.symbol}</strong>
+                      <table style={{ 
+                        margin: '6px 0 4px 0', 
+                        borderLeft: '2px solid #333', 
+                        borderRight: '2px solid #333', 
+                        fontFamily: 'monospace' 
+                      }}>
+                        <tbody>
+                          {crystalMatrix(compositionProduct.matrix, selectedGroup.system).map((row, i) => (
+                            <tr key={i}>
+                              {row.map((x, j) => (
+                                <td key={j} style={{ padding: '1px 6px', textAlign: 'right' }}>{x}</td>
+                              ))}
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                      <div style={{ fontSize: '11px', color: '#666' }}>Matrix on the crystal axes a, b, c</div>
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
         </div>
         
         {/* Group Information */}
@@ -1048,12 +2357,444 @@ export default function CrystalSymmetryExplorer() {
             <p style={{ margin: '0 0 6px 0' }}>
               <strong>Description:</strong> {selectedGroup.description}
             </p>
-            <p style={{ margin: '0' }}>
+            <p style={{ margin: '0 0 6px 0' }}>
               <strong>Example:</strong> {selectedGroup.example}
             </p>
+            <p style={{ margin: '0 0 6px 0' }}>
+              <strong>Order:</strong> {groupOps.length}
+            </p>
+            <p style={{ margin: '0 0 6px 0' }}>
+              <strong>Shape:</strong>{' '}
+              {crystal.forms.filter(f => f.visible).map(f => `${f.name} {${formatHkl(f.hkl)}}`).join(' + ')}
+            </p>
+            <p style={{ margin: '0 0 6px 0', color: shapeCheck.exact ? '#2e7d32' : '#c62828' }}>
+              {shapeCheck.exact
+                ? `✓ Shape symmetry is exactly ${selectedGroup.id}`
+                : crystal.open
+                  ? '✗ Shape is open, so its symmetry cannot be checked'
+                  : `✗ Shape symmetry is ${shapeCheck.actual ? shapeCheck.actual.id : 'non-crystallographic'} (order ${shapeCheck.order}), not ${selectedGroup.id}`}
+            </p>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px' }}>
+              {groupOps.map(el => (
+                <span
+                  key={el.symbol}
+                  style={{
+                    padding: '2px 6px',
+                    background: classOperations.includes(el) ? '#fff8e1' : 'white',
+                    border: `1px solid ${classOperations.includes(el) ? '#ffb300' : '#90caf9'}`,
+                    borderRadius: '3px',
+                    fontSize: '12px',
+                    fontFamily: 'monospace'
+                  }}
+                >
+                  {el.symbol}
+                </span>
+              ))}
+            </div>
+            
+            {characters && (
+              <div style={{ marginTop: '10px' }}>
+                <p style={{ margin: '0 0 6px 0' }}>
+                  <strong>Character table</strong>{' '}
+                  <span style={{ fontSize: '11px', color: '#666' }}>
+                    (click a class to highlight its operations)
+                  </span>
+                </p>
+                <CharacterTable
+                  table={characters}
+                  schoenflies={selectedGroup.schoenflies}
+                  selectedClass={selectedClass}
+                  onSelectClass={selectClass}
+                />
+                {characters.basisFrame && (
+                  <p style={{ margin: '4px 0 0 0', fontSize: '11px', color: '#666' }}>
+                    In this setting the basis functions' x and y lie along{' '}
+                    {characters.basisFrame.slice(0, 2).map(v => formatIndices(directionIndices(v))).join(' and ')}
+                  </p>
+                )}
+                {characters.epsilon && (
+                  <p style={{ margin: '4px 0 0 0', fontSize: '11px', color: '#666' }}>
+                    ε = exp(2πi/{characters.epsilon})
+                  </p>
+                )}
+              </div>
+            )}
           </div>
         </div>
         
+        {/* Selection Rules */}
+        {characters && (
+          <div style={{ 
+            marginTop: '20px', 
+            padding: '12px', 
+            background: '#fce4ec',
+            borderRadius: '6px',
+            borderLeft: '4px solid #e91e63'
+          }}>
+            <h3 style={{ 
+              margin: '0 0 6px 0', 
+              fontSize: '13px', 
+              fontWeight: '600',
+              color: '#ad1457'
+            }}>
+              IR / Raman Selection Rules
+            </h3>
+            <p style={{ margin: '0 0 8px 0', fontSize: '12px', color: '#555', lineHeight: '1.5' }}>
+              Reduce a representation into irreducible ones. Irreps transforming like x, y or z
+              are IR-active; those transforming like a quadratic function are Raman-active.
+            </p>
+            <SelectionRules key={selectedGroup.id} table={characters} elements={groupOps} />
+          </div>
+        )}
+
+        {/* Property Tensors */}
+        <div style={{
+          marginTop: '20px',
+          padding: '12px',
+          background: '#fbe9e7',
+          borderRadius: '6px',
+          borderLeft: '4px solid #ff5722'
+        }}>
+          <h3 style={{
+            margin: '0 0 6px 0',
+            fontSize: '13px',
+            fontWeight: '600',
+            color: '#bf360c'
+          }}>
+            Property Tensors
+          </h3>
+          <p style={{ margin: '0 0 8px 0', fontSize: '12px', color: '#555', lineHeight: '1.5' }}>
+            By Neumann's principle a property has at least the symmetry of the crystal, so
+            components not left unchanged by every operation vanish or are tied together.
+          </p>
+          <PropertyTensors elements={groupOps} />
+        </div>
+
+        {/* Unit Cell */}
+        <div style={{ 
+          marginTop: '20px', 
+          padding: '12px', 
+          background: '#e8eaf6',
+          borderRadius: '6px',
+          borderLeft: '4px solid #3f51b5'
+        }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '6px' }}>
+            <h3 style={{ 
+              margin: '0', 
+              fontSize: '13px', 
+              fontWeight: '600',
+              color: '#283593'
+            }}>
+              Unit Cell ({selectedGroup.system})
+            </h3>
+            <button
+              onClick={() => setCell(standardCell(selectedGroup.system))}
+              style={{
+                padding: '4px 8px',
+                background: '#3f51b5',
+                color: 'white',
+                border: 'none',
+                borderRadius: '3px',
+                cursor: 'pointer',
+                fontSize: '11px',
+                fontWeight: '600'
+              }}
+            >
+              Reset
+            </button>
+          </div>
+          <p style={{ margin: '0 0 8px 0', fontSize: '12px', color: '#555', lineHeight: '1.5' }}>
+            Faces (hkl) stand on this cell: each normal is the reciprocal-lattice vector
+            G⁻¹(hkl) of the metric tensor G. Any cell the system allows keeps the same symmetry
+            elements, so only the shape changes.
+          </p>
+          <CellParameters
+            key={selectedGroup.system}
+            system={selectedGroup.system}
+            cell={cell}
+            onChange={setCell}
+          />
+        </div>
+        
+        {/* Crystal Forms */}
+        <div style={{ 
+          marginTop: '20px', 
+          padding: '12px', 
+          background: '#e0f2f1',
+          borderRadius: '6px',
+          borderLeft: '4px solid #009688'
+        }}>
+          <h3 style={{ 
+            margin: '0 0 6px 0', 
+            fontSize: '13px', 
+            fontWeight: '600',
+            color: '#00695c'
+          }}>
+            Crystal Forms {'{hkl}'}
+          </h3>
+          <p style={{ margin: '0 0 8px 0', fontSize: '12px', color: '#555', lineHeight: '1.5' }}>
+            Add a face (hkl) to generate all faces equivalent to it. Several forms at different
+            central distances combine into one crystal.
+          </p>
+          <div style={{ display: 'flex', gap: '4px', marginBottom: '8px' }}>
+            <input
+              type="text"
+              value={formInput}
+              onChange={(e) => setFormInput(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && addForm()}
+              placeholder="h k l"
+              style={{
+                flex: 1,
+                padding: '6px',
+                fontSize: '13px',
+                fontFamily: 'monospace',
+                border: '1px solid #ccc',
+                borderRadius: '4px'
+              }}
+            />
+            <button
+              onClick={addForm}
+              style={{
+                padding: '6px 10px',
+                background: '#009688',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                fontSize: '12px',
+                fontWeight: '600'
+              }}
+            >
+              Add
+            </button>
+          </div>
+          {formError && (
+            <div style={{ marginBottom: '8px', fontSize: '12px', color: '#c62828' }}>{formError}</div>
+          )}
+          {forms.length > 0 && crystal.forms.map((form, i) => (
+            <div
+              key={i}
+              style={{
+                marginBottom: '6px',
+                padding: '6px 8px',
+                background: 'white',
+                borderRadius: '4px',
+                fontSize: '12px',
+                opacity: form.visible ? 1 : 0.5
+              }}
+            >
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <span>
+                  <strong style={{ fontFamily: 'monospace' }}>
+                    {'{'}{formatHkl(form.hkl)}{'}'}
+                  </strong>{' '}
+                  {form.name} ({form.multiplicity} face{form.multiplicity !== 1 ? 's' : ''})
+                  {!form.closed && ', open'}
+                  {!form.visible && ', hidden by other forms'}
+                </span>
+                <button
+                  onClick={() => setForms(forms.filter((_, k) => k !== i))}
+                  style={{
+                    padding: '0 6px',
+                    background: 'none',
+                    border: 'none',
+                    color: '#999',
+                    cursor: 'pointer',
+                    fontSize: '14px'
+                  }}
+                >
+                  ×
+                </button>
+              </div>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '4px', color: '#666' }}>
+                Distance
+                <input
+                  type="range"
+                  min="0.5"
+                  max="2"
+                  step="0.05"
+                  value={forms[i].distance}
+                  onChange={(e) => setFormDistance(i, Number(e.target.value))}
+                  style={{ flex: 1 }}
+                />
+                {forms[i].distance.toFixed(2)}
+              </label>
+            </div>
+          ))}
+          {forms.length > 0 && crystal.open && (
+            <div style={{ fontSize: '12px', color: '#e65100' }}>
+              These forms don't enclose a crystal; add another form to close it.
+            </div>
+          )}
+        </div>
+        
+        {/* Orbit Viewer */}
+        <div style={{
+          marginTop: '20px',
+          padding: '12px',
+          background: '#e8f5e9',
+          borderRadius: '6px',
+          borderLeft: '4px solid #43a047'
+        }}>
+          <h3 style={{
+            margin: '0 0 6px 0',
+            fontSize: '13px',
+            fontWeight: '600',
+            color: '#1b5e20'
+          }}>
+            General and Special Positions
+          </h3>
+          <p style={{ margin: '0 0 8px 0', fontSize: '12px', color: '#555', lineHeight: '1.5' }}>
+            Drag the marker in the view or type its coordinates to see every copy the group makes.
+            Near an axis, a mirror or the centre it snaps on, and operations that leave it in place
+            no longer make new copies.
+          </p>
+          <label style={{ display: 'flex', alignItems: 'center', fontSize: '13px', cursor: 'pointer' }}>
+            <input
+              type="checkbox"
+              checked={orbitPoint !== null}
+              onChange={(e) => setOrbitPoint(e.target.checked ? ORBIT_START : null)}
+              style={{ marginRight: '8px' }}
+            />
+            Show the orbit of a point
+          </label>
+          {orbit && (
+            <>
+              <div style={{ display: 'flex', gap: '4px', marginTop: '8px' }}>
+                {['x', 'y', 'z'].map((axis, i) => (
+                  <label key={axis} style={{ flex: 1, display: 'flex', alignItems: 'center', gap: '4px', fontSize: '12px', color: '#444' }}>
+                    {axis}
+                    <input
+                      type="text"
+                      inputMode="decimal"
+                      value={orbitDraft[i] ?? String(Number(orbitPoint[i].toFixed(3)))}
+                      onChange={(e) => {
+                        const text = e.target.value;
+                        setOrbitDraft({ ...orbitDraft, [i]: text });
+                        // Partial input such as '' or '-' waits for more
+                        if (text.trim() !== '' && Number.isFinite(Number(text))) {
+                          setOrbitPoint(orbitPoint.map((x, k) => (k === i ? Number(text) : x)));
+                        }
+                      }}
+                      onBlur={() => setOrbitDraft({})}
+                      style={{ width: '100%', padding: '4px', fontSize: '12px', border: '1px solid #ccc', borderRadius: '3px' }}
+                    />
+                  </label>
+                ))}
+              </div>
+              <div style={{ marginTop: '8px', fontSize: '12px', color: '#333', lineHeight: '1.6' }}>
+                <div>
+                  <strong>Orbit size {orbit.images.length}</strong>
+                  {orbit.special
+                    ? ` of ${groupOps.length}: special position ${describeSite(orbit)}`
+                    : ': general position'}
+                </div>
+                {orbit.special && (
+                  <div>
+                    Site symmetry <strong style={{ fontFamily: 'monospace' }}>{orbit.siteSymmetry}</strong>, so{' '}
+                    {groupOps.length} / {groupOps.length / orbit.images.length} = {orbit.images.length} copies
+                  </div>
+                )}
+                <div style={{ fontFamily: 'monospace', color: '#666' }}>
+                  at ({orbit.point.map(x => x.toFixed(2)).join(', ')})
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+        
+        {/* Multiplication Table */}
+        <div style={{ 
+          marginTop: '20px', 
+          padding: '12px', 
+          background: '#f1f8e9',
+          borderRadius: '6px',
+          borderLeft: '4px solid #66bb6a'
+        }}>
+          <h3 style={{ 
+            margin: '0 0 6px 0', 
+            fontSize: '13px', 
+            fontWeight: '600',
+            color: '#2e7d32'
+          }}>
+            Multiplication Table
+          </h3>
+          <p style={{ margin: '0 0 8px 0', fontSize: '12px', color: '#555', lineHeight: '1.5' }}>
+            Row · column: the column operation is applied first. Click a cell to play both
+            operations on the orange copy. Shaded cells give the identity.
+          </p>
+          <CayleyTable
+            elements={groupOps}
+            selectedCell={cayleyCell}
+            productIndex={cayleyProduct}
+            onSelectCell={playCayleyCell}
+          />
+          {cayleyCell && (
+            <div style={{ marginTop: '8px', fontSize: '12px', color: '#333', fontFamily: 'monospace' }}>
+              {groupOps[cayleyCell.row].symbol} · {groupOps[cayleyCell.col].symbol} ={' '}
+              {cayleyProduct !== null ? <strong>{groupOps[cayleyProduct].symbol}</strong> : '…'}
+            </div>
+          )}
+        </div>
+        
+        {/* Subgroup Lattice */}
+        <div style={{ 
+          marginTop: '20px', 
+          padding: '12px', 
+          background: '#f3e5f5',
+          borderRadius: '6px',
+          borderLeft: '4px solid #764ba2'
+        }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            <h3 style={{ 
+              margin: '0', 
+              fontSize: '13px', 
+              fontWeight: '600',
+              color: '#4a148c'
+            }}>
+              Group–Subgroup Lattice
+            </h3>
+            <button
+              onClick={() => setShowLattice(!showLattice)}
+              style={{
+                padding: '4px 8px',
+                background: '#764ba2',
+                color: 'white',
+                border: 'none',
+                borderRadius: '3px',
+                cursor: 'pointer',
+                fontSize: '11px',
+                fontWeight: '600'
+              }}
+            >
+              {showLattice ? 'Hide' : 'Show'}
+            </button>
+          </div>
+          {showLattice && (
+            <>
+              <p style={{ margin: '8px 0', fontSize: '12px', color: '#555', lineHeight: '1.5' }}>
+                Lines join each group to its maximal subgroups. Click a group to view it,
+                or a line to see which elements are lost.
+              </p>
+              <SubgroupLattice
+                groups={pointGroups}
+                selectedId={selectedGroup.id}
+                selectedEdge={latticeEdge}
+                onSelectGroup={selectGroup}
+                onSelectEdge={selectLatticeEdge}
+              />
+              {latticeEdge && (
+                <div style={{ marginTop: '8px', fontSize: '12px', color: '#333', lineHeight: '1.5' }}>
+                  <strong>{latticeEdge.from} → {latticeEdge.to}</strong> (index {latticeEdge.index}) loses:{' '}
+                  <span style={{ fontFamily: 'monospace', color: '#e65100' }}>
+                    {latticeEdge.lost.map(elementLabel).join(' ')}
+                  </span>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+        
         {/* Legend */}
         <div style={{ 
           marginTop: '20px', 
@@ -1069,11 +2810,16 @@ export default function CrystalSymmetryExplorer() {
           <div style={{ lineHeight: '1.6' }}>
             <div><span style={{ color: '#e63946' }}>●</span> Red axes: proper rotation (n)</div>
             <div><span style={{ color: '#ff6b35' }}>●</span> Orange axes: rotoinversion (n̄)</div>
+            <div style={{ marginLeft: '14px' }}>Axis ends carry the International Tables symbols</div>
             <div><span style={{ color: '#2196f3' }}>▢</span> Blue planes: mirror (m)</div>
             <div><span style={{ color: '#1a1a1a' }}>●</span> Black sphere: inversion (ī)</div>
             <div style={{ marginTop: '8px', color: '#ff6b35' }}>
               <span style={{ color: '#ff6b35' }}>●</span> Orange copy: animated operation
             </div>
+            <div><span style={{ color: '#43a047' }}>●</span> Green spheres: a point and its copies</div>
+            <div><span style={{ color: MOTIF_PROPER_COLOR }}>●</span> Purple commas: motif copies by rotations</div>
+            <div><span style={{ color: MOTIF_IMPROPER_COLOR }}>●</span> Yellow commas: mirror-image copies</div>
+            <div><span style={{ color: '#d81b60' }}>●</span> Pink spheres: the same on a special position</div>
           </div>
         </div>
         
@@ -1098,7 +2844,7 @@ export default function CrystalSymmetryExplorer() {
           padding: '16px 24px',
           background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
           color: 'white',
-          display: 'flex',
+          display: quizQuestion ? 'none' : 'flex',
           justifyContent: 'space-between',
           alignItems: 'center'
         }}>
@@ -1121,18 +2867,105 @@ export default function CrystalSymmetryExplorer() {
           </div>
         </div>
         
-        {/* Canvas */}
-        <div style={{ flex: 1 }}>
-          <Canvas camera={{ position: [4, 3, 4], fov: 50 }}>
-            <Scene 
-              group={selectedGroup}
-              showAxes={showAxes}
-              showPlanes={showPlanes}
-              showInversion={showInversion}
-              autoRotate={autoRotate}
-              animationMode={animationMode}
+        {/* Canvas and stereogram */}
+        <div style={{ flex: 1, display: 'flex', minHeight: 0 }}>
+          <div
+            style={{ flex: 1, position: 'relative' }}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={(e) => {
+              e.preventDefault();
+              dropFile(e.dataTransfer.files[0]);
+            }}
+          >
+            <Canvas camera={{ position: [4, 3, 4], fov: FOV }}>
+              {quizQuestion ? (
+                <Scene
+                  group={quizQuestion.group}
+                  showAxes={quizElements}
+                  showPlanes={quizElements}
+                  showInversion={quizElements}
+                  autoRotate={autoRotate}
+                  animationMode={null}
+                  highlighted={[]}
+                  modelRef={modelRef}
+                  onCameraChange={setCamera}
+                  orthographic={orthographic}
+                />
+              ) : (
+                <Scene 
+                  group={selectedGroup}
+                  showAxes={showAxes}
+                  showPlanes={showPlanes}
+                  showInversion={showInversion}
+                  autoRotate={autoRotate && !compareGroup}
+                  animationMode={animationMode}
+                  onSequenceComplete={() => setSequenceDone(true)}
+                  highlighted={sceneHighlight}
+                  shapeGeometry={formGeometry}
+                  molecule={molecule}
+                  structure={structure}
+                  modelRef={modelRef}
+                  cameraView={cameraJump}
+                  onCameraChange={setCamera}
+                  cameraLink={cameraLink}
+                  timeline={timeline}
+                  clockRef={animationClock}
+                  playing={animationPlaying}
+                  speed={animationSpeed}
+                  viewRequest={viewRequest}
+                  orthographic={orthographic}
+                  orbit={orbit}
+                  onOrbitDrag={setOrbitPoint}
+                  showMotif={showMotif}
+                />
+              )}
+            </Canvas>
+            {compareGroup && !quizQuestion && <div style={VIEW_LABEL_STYLE}>{selectedGroup.name}</div>}
+          </div>
+          
+          {/* Second group for comparison, with its camera linked to the first */}
+          {compareGroup && !quizQuestion && (
+            <div style={{ flex: 1, position: 'relative', borderLeft: '1px solid #e0e0e0' }}>
+              <Canvas camera={{ position: [4, 3, 4], fov: FOV }}>
+                <Scene
+                  group={compareGroup}
+                  showAxes={showAxes}
+                  showPlanes={showPlanes}
+                  showInversion={showInversion}
+                  autoRotate={false}
+                  animationMode={null}
+                  highlighted={activeHighlight.length === 0 ? comparison.onlyThere : []}
+                  onCameraChange={setCamera}
+                  cameraLink={cameraLink}
+                  orthographic={orthographic}
+                />
+              </Canvas>
+              <div style={VIEW_LABEL_STYLE}>{compareGroup.name}</div>
+            </div>
+          )}
+          
+          {/* Stereographic projection */}
+          <div style={{
+            display: quizQuestion ? 'none' : 'block',
+            width: '264px',
+            padding: '12px',
+            background: '#ffffff',
+            borderLeft: '1px solid #e0e0e0',
+            overflowY: 'auto'
+          }}>
+            <div style={{ fontSize: '11px', color: '#666', marginBottom: '8px', fontWeight: '600' }}>
+              STEREOGRAPHIC PROJECTION
+            </div>
+            <Stereogram
+              elements={groupOps}
+              highlighted={activeHighlight}
+              onHighlight={setHighlighted}
             />
-          </Canvas>
+            <div style={{ marginTop: '8px', fontSize: '11px', color: '#666', lineHeight: '1.5' }}>
+              Viewed down [001] with x down and y right. Dots and circles are a general
+              position above and below the plane. Hover a symbol to find it in 3D.
+            </div>
+          </div>
         </div>
         
         {/* Bottom info panel */}
@@ -1140,7 +2973,7 @@ export default function CrystalSymmetryExplorer() {
           padding: '16px 24px',
           background: '#f8f9fa',
           borderTop: '1px solid #e0e0e0',
-          display: 'flex',
+          display: quizQuestion ? 'none' : 'flex',
           gap: '24px',
           flexWrap: 'wrap'
         }}>
@@ -1149,7 +2982,8 @@ export default function CrystalSymmetryExplorer() {
               SYMMETRY OPERATIONS
             </div>
             <div style={{ fontSize: '13px', color: '#333' }}>
-              {rotations.length} rotation{rotations.length !== 1 ? 's' : ''} • {' '}
+              Order {groupOps.length} • {' '}
+              {rotations.length} axis{rotations.length !== 1 ? 'es' : ''} • {' '}
               {mirrors.length} mirror{mirrors.length !== 1 ? 's' : ''} • {' '}
               {hasInversion ? '1 inversion' : 'no inversion'}
             </div>
@@ -1177,9 +3011,7 @@ export default function CrystalSymmetryExplorer() {
                 ANIMATION ACTIVE
               </div>
               <div style={{ fontSize: '13px', color: '#333' }}>
-                {animationMode.type === 'rotation' && `${animationMode.order}-fold rotation`}
-                {animationMode.type === 'mirror' && 'Mirror reflection'}
-                {animationMode.type === 'inversion' && 'Inversion through center'}
+                {describeAnimation(animationMode)}
               </div>
             </div>
           )}
@@ -0,0 +1,76 @@
+import React, { useMemo } from 'react';
+import * as THREE from 'three';
+
+function polygonShape(sides, radius, rotation) {
+  const points = Array.from({ length: sides }, (_, k) => {
+    const a = rotation + (2 * Math.PI * k) / sides;
+    return new THREE.Vector2(radius * Math.cos(a), radius * Math.sin(a));
+  });
+  return new THREE.Shape(points);
+}
+
+function lensShape(length, width) {
+  const shape = new THREE.Shape();
+  shape.moveTo(-length, 0);
+  shape.quadraticCurveTo(0, -width, length, 0);
+  shape.quadraticCurveTo(0, width, -length, 0);
+  return shape;
+}
+
+function circleShape(radius) {
+  const shape = new THREE.Shape();
+  shape.absarc(0, 0, radius, 0, 2 * Math.PI, false);
+  return shape;
+}
+
+// Layers of the symbol from the bottom up, each filled with the axis
+// colour or left white. The same shapes as the stereogram draws.
+function symbolLayers(order, roto, size) {
+  switch (order) {
+    case 2:
+      return [{ shape: lensShape(size * 1.2, size), white: false }];
+    case 3:
+      return [
+        { shape: polygonShape(3, size, -Math.PI / 2), white: false },
+        ...(roto ? [{ shape: circleShape(size * 0.3), white: true }] : [])
+      ];
+    case 4:
+      return [
+        { shape: polygonShape(4, size, Math.PI / 4), white: false },
+        ...(roto ? [{ shape: lensShape(size * 0.55, size * 0.45), white: true }] : [])
+      ];
+    case 6:
+      return roto
+        ? [
+            { shape: polygonShape(6, size, 0), white: false },
+            { shape: polygonShape(6, size * 0.8, 0), white: true },
+            { shape: polygonShape(3, size * 0.6, -Math.PI / 2), white: false }
+          ]
+        : [{ shape: polygonShape(6, size, 0), white: false }];
+    default:
+      return [];
+  }
+}
+
+// International Tables graphical symbol for an n-fold or -n axis, flat in
+// the xy plane so that it faces along z. Each layer is pulled in front of
+// the one below from either side.
+export default function AxisSymbolModel({ order, roto, color, size, name }) {
+  const layers = useMemo(() => symbolLayers(order, roto, size), [order, roto, size]);
+  return (
+    <group>
+      {layers.map(({ shape, white }, i) => (
+        <mesh key={i} name={name}>
+          <shapeGeometry args={[shape, 16]} />
+          <meshBasicMaterial
+            color={white ? '#ffffff' : color}
+            side={THREE.DoubleSide}
+            polygonOffset={true}
+            polygonOffsetFactor={-i}
+            polygonOffsetUnits={-4 * i}
+          />
+        </mesh>
+      ))}
+    </group>
+  );
+}
@@ -0,0 +1,89 @@
+import React, { useMemo } from 'react';
+import { multiplicationTable } from './symmetry.js';
+
+const cellStyle = {
+  padding: '2px 4px',
+  border: '1px solid #e0e0e0',
+  whiteSpace: 'nowrap',
+  textAlign: 'center'
+};
+
+// Multiplication table of a point group. Row a, column b holds a · b,
+// i.e. b is applied first and a second.
+export default function CayleyTable({ elements, selectedCell, productIndex, onSelectCell }) {
+  const table = useMemo(() => multiplicationTable(elements), [elements]);
+
+  const headerStyle = (index, isRow) => {
+    const active = selectedCell && (isRow ? selectedCell.row : selectedCell.col) === index;
+    const isProduct = productIndex === index;
+    return {
+      ...cellStyle,
+      position: 'sticky',
+      ...(isRow ? { left: 0 } : { top: 0 }),
+      background: isProduct ? '#66bb6a' : active ? '#ffcc80' : '#eceff1',
+      color: isProduct ? 'white' : '#333',
+      fontWeight: '600',
+      zIndex: 1
+    };
+  };
+
+  return (
+    <div style={{
+      maxHeight: '320px',
+      overflow: 'auto',
+      border: '1px solid #ccc',
+      borderRadius: '4px',
+      background: 'white'
+    }}>
+      <table style={{
+        borderCollapse: 'collapse',
+        fontSize: '10px',
+        fontFamily: 'monospace'
+      }}>
+        <thead>
+          <tr>
+            <th style={{ ...cellStyle, position: 'sticky', top: 0, left: 0, background: '#cfd8dc', zIndex: 2 }}>
+              ·
+            </th>
+            {elements.map((el, j) => (
+              <th key={el.symbol} style={headerStyle(j, false)}>{el.symbol}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {table.map((row, i) => (
+            <tr key={elements[i].symbol}>
+              <th style={headerStyle(i, true)}>{elements[i].symbol}</th>
+              {row.map((k, j) => {
+                const selected = selectedCell && selectedCell.row === i && selectedCell.col === j;
+                const isProduct = productIndex === k && selectedCell && !selected;
+                return (
+                  <td
+                    key={j}
+                    onClick={() => onSelectCell(i, j)}
+                    title={`${elements[i].symbol} · ${elements[j].symbol} = ${elements[k].symbol}`}
+                    style={{
+                      ...cellStyle,
+                      cursor: 'pointer',
+                      background: selected
+                        ? '#ff9800'
+                        : isProduct
+                          ? '#c8e6c9'
+                          : k === 0
+                            ? '#fffde7'
+                            : 'white',
+                      color: selected ? 'white' : '#333',
+                      fontWeight: selected || k === 0 ? '600' : '400'
+                    }}
+                  >
+                    {elements[k].symbol}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
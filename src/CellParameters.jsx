@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import { FREE_PARAMETERS, constrainCell, cellProblem } from './lattice.js';
+
+const PARAMETERS = [
+  { key: 'a', label: 'a', step: 0.05 },
+  { key: 'b', label: 'b', step: 0.05 },
+  { key: 'c', label: 'c', step: 0.05 },
+  { key: 'alpha', label: 'α', step: 1, unit: '°' },
+  { key: 'beta', label: 'β', step: 1, unit: '°' },
+  { key: 'gamma', label: 'γ', step: 1, unit: '°' }
+];
+
+// Editable cell parameters. Only those the crystal system leaves free can
+// be changed; the others are shown as the system fixes them.
+export default function CellParameters({ system, cell, onChange }) {
+  const [drafts, setDrafts] = useState({});
+  const [error, setError] = useState(null);
+  const free = FREE_PARAMETERS[system];
+
+  const edit = (key, text) => {
+    setDrafts({ ...drafts, [key]: text });
+    const next = constrainCell(system, { ...cell, [key]: Number(text) });
+    const problem = text.trim() === '' ? 'Enter a number' : cellProblem(next);
+    setError(problem);
+    if (!problem) onChange(next);
+  };
+
+  // Once the field is left it shows the cell's value again
+  const finish = (key) => {
+    const { [key]: _, ...rest } = drafts;
+    setDrafts(rest);
+    setError(null);
+  };
+
+  return (
+    <div>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '6px' }}>
+        {PARAMETERS.map(({ key, label, step, unit }) => {
+          const editable = free.includes(key);
+          return (
+            <label key={key} style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '12px', color: '#444' }}>
+              <span style={{ width: '12px' }}>{label}</span>
+              <input
+                type="number"
+                step={step}
+                disabled={!editable}
+                value={drafts[key] ?? String(Math.round(cell[key] * 1000) / 1000)}
+                onChange={(e) => edit(key, e.target.value)}
+                onBlur={() => finish(key)}
+                style={{
+                  width: '100%',
+                  minWidth: 0,
+                  padding: '3px',
+                  fontSize: '12px',
+                  border: '1px solid #ccc',
+                  borderRadius: '3px',
+                  background: editable ? 'white' : '#eee'
+                }}
+              />
+              {unit}
+            </label>
+          );
+        })}
+      </div>
+      {error && <div style={{ marginTop: '6px', fontSize: '12px', color: '#c62828' }}>{error}</div>}
+    </div>
+  );
+}
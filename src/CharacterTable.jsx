@@ -0,0 +1,95 @@
+import React from 'react';
+
+const cellStyle = {
+  padding: '2px 5px',
+  border: '1px solid #e0e0e0',
+  whiteSpace: 'nowrap',
+  textAlign: 'center'
+};
+
+// Render a label written as 'C_4^3', "2C_2'" or 'A_1g' with real
+// subscripts and superscripts
+export function Notation({ text }) {
+  const [, main, sub, sup, primes] = text.match(/^([^_^']*)(?:_([^'^]*))?(?:\^([^']+))?('*)$/);
+  return (
+    <>
+      {main}
+      {sub && <sub>{sub}</sub>}
+      {sup && <sup>{sup}</sup>}
+      {primes}
+    </>
+  );
+}
+
+// A character as printed: '−1', 'ε*', '−i' …
+function formatCharacter(c) {
+  return String(c).replace('-', '−');
+}
+
+// Character table of a point group. Complex-conjugate pairs share their
+// label and basis functions over two rows. Clicking a class header selects
+// that class (or clears it when clicked again).
+export default function CharacterTable({ table, schoenflies, selectedClass, onSelectClass }) {
+  return (
+    <div style={{
+      overflowX: 'auto',
+      border: '1px solid #ccc',
+      borderRadius: '4px',
+      background: 'white'
+    }}>
+      <table style={{ borderCollapse: 'collapse', fontSize: '11px' }}>
+        <thead>
+          <tr>
+            <th style={{ ...cellStyle, background: '#cfd8dc' }}>{schoenflies}</th>
+            {table.classes.map((c, k) => (
+              <th
+                key={c.label}
+                onClick={() => onSelectClass(selectedClass === k ? null : k)}
+                title={c.operations.map(op => op.symbol).join(', ')}
+                style={{
+                  ...cellStyle,
+                  cursor: 'pointer',
+                  background: selectedClass === k ? '#ffb300' : '#eceff1',
+                  fontWeight: '600'
+                }}
+              >
+                <Notation text={c.label} />
+              </th>
+            ))}
+            <th style={{ ...cellStyle, background: '#eceff1' }}>Linear, rotations</th>
+            <th style={{ ...cellStyle, background: '#eceff1' }}>Quadratic</th>
+          </tr>
+        </thead>
+        <tbody>
+          {table.irreps.flatMap(irrep => irrep.rows.map((row, r) => (
+            <tr key={`${irrep.label}-${r}`}>
+              {r === 0 && (
+                <th rowSpan={irrep.rows.length} style={{ ...cellStyle, background: '#f5f5f5' }}>
+                  <Notation text={irrep.label} />
+                </th>
+              )}
+              {row.characters.map((c, k) => (
+                <td
+                  key={k}
+                  style={{ ...cellStyle, background: selectedClass === k ? '#fff8e1' : 'white' }}
+                >
+                  {formatCharacter(c)}
+                </td>
+              ))}
+              {r === 0 && (
+                <>
+                  <td rowSpan={irrep.rows.length} style={{ ...cellStyle, textAlign: 'left' }}>
+                    {irrep.linear}
+                  </td>
+                  <td rowSpan={irrep.rows.length} style={{ ...cellStyle, textAlign: 'left' }}>
+                    {irrep.quadratic}
+                  </td>
+                </>
+              )}
+            </tr>
+          )))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
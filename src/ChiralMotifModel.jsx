@@ -0,0 +1,32 @@
+import React, { useMemo } from 'react';
+import * as THREE from 'three';
+
+// Tail of the comma: three quarters of a left-handed helix turn,
+// rising away from the head. A flat comma would be its own mirror image
+// in 3D; the twist is what makes this one chiral.
+function tailCurve() {
+  const points = Array.from({ length: 16 }, (_, k) => {
+    const t = k / 15;
+    const angle = -1.5 * Math.PI * t;
+    const radius = 0.12 * (1 - 0.4 * t);
+    return new THREE.Vector3(radius * Math.cos(angle) - 0.12, radius * Math.sin(angle), 0.28 * t);
+  });
+  return new THREE.CatmullRomCurve3(points);
+}
+
+// A comma with a round head and a coiled tail. Drawn through a reflection
+// it coils the other way, so left- and right-handed copies tell apart.
+export default function ChiralMotifModel({ color, name }) {
+  const tail = useMemo(() => new THREE.TubeGeometry(tailCurve(), 32, 0.03, 8, false), []);
+  return (
+    <group>
+      <mesh name={name}>
+        <sphereGeometry args={[0.07, 16, 16]} />
+        <meshStandardMaterial color={color} />
+      </mesh>
+      <mesh name={name} geometry={tail}>
+        <meshStandardMaterial color={color} />
+      </mesh>
+    </group>
+  );
+}
@@ -0,0 +1,156 @@
+import React, { useState, useMemo } from 'react';
+import { ELEMENT_KINDS, PROPERTY_FILTERS, groupFacts, matchesSearch } from './groupSearch.js';
+
+const COLUMNS = [
+  { key: 'id', label: 'HM', value: (g) => g.id },
+  { key: 'schoenflies', label: 'Sch.', value: (g) => g.schoenflies },
+  { key: 'order', label: 'Order', value: (g, f) => f.order },
+  { key: 'laue', label: 'Laue', value: (g, f) => f.laue },
+  { key: 'example', label: 'Example', value: (g) => g.example }
+];
+
+const chipStyle = (state) => ({
+  padding: '2px 7px',
+  fontSize: '11px',
+  fontWeight: '600',
+  borderRadius: '10px',
+  cursor: 'pointer',
+  border: `1px solid ${state === false ? '#c62828' : '#667eea'}`,
+  background: state === true ? '#667eea' : state === false ? '#ffebee' : 'white',
+  color: state === true ? 'white' : state === false ? '#c62828' : '#667eea'
+});
+
+const cellStyle = {
+  padding: '3px 4px',
+  borderBottom: '1px solid #eee',
+  whiteSpace: 'nowrap'
+};
+
+// Search box and filter chips over all the point groups. Property chips
+// go from required to excluded to off; element chips require an operation.
+export default function GroupSearch({ groups, selectedId, onSelect }) {
+  const [query, setQuery] = useState('');
+  const [properties, setProperties] = useState({});
+  const [kinds, setKinds] = useState([]);
+  const [sort, setSort] = useState({ key: null, direction: 1 });
+
+  const cycleProperty = (key) => {
+    const { [key]: state, ...rest } = properties;
+    if (state === undefined) setProperties({ ...rest, [key]: true });
+    else if (state === true) setProperties({ ...rest, [key]: false });
+    else setProperties(rest);
+  };
+
+  const toggleKind = (kind) => {
+    setKinds(kinds.includes(kind) ? kinds.filter(k => k !== kind) : [...kinds, kind]);
+  };
+
+  const results = useMemo(() => {
+    const rows = groups
+      .map(group => ({ group, facts: groupFacts(group, groups) }))
+      .filter(({ group, facts }) => matchesSearch(group, facts, { query, properties, kinds }));
+    const column = COLUMNS.find(c => c.key === sort.key);
+    if (!column) return rows;
+    return [...rows].sort((a, b) => {
+      const x = column.value(a.group, a.facts);
+      const y = column.value(b.group, b.facts);
+      return sort.direction * (typeof x === 'number' ? x - y : String(x).localeCompare(String(y)));
+    });
+  }, [groups, query, properties, kinds, sort]);
+
+  const sortBy = (key) => {
+    setSort(sort.key === key ? { key, direction: -sort.direction } : { key, direction: 1 });
+  };
+
+  const filtering = query.trim() !== '' || Object.keys(properties).length > 0 || kinds.length > 0;
+
+  return (
+    <div>
+      <input
+        type="text"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder="Symbol, mineral, order or laue:4/mmm"
+        style={{ width: '100%', boxSizing: 'border-box', padding: '6px', fontSize: '13px', border: '1px solid #ccc', borderRadius: '4px' }}
+      />
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginTop: '6px' }}>
+        {PROPERTY_FILTERS.map(({ key, label }) => (
+          <button key={key} onClick={() => cycleProperty(key)} style={chipStyle(properties[key])}>
+            {properties[key] === false ? `not ${label}` : label}
+          </button>
+        ))}
+      </div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginTop: '4px', alignItems: 'center' }}>
+        <span style={{ fontSize: '11px', color: '#666' }}>Contains</span>
+        {ELEMENT_KINDS.map(kind => (
+          <button
+            key={kind}
+            onClick={() => toggleKind(kind)}
+            style={{ ...chipStyle(kinds.includes(kind) || undefined), fontFamily: 'monospace' }}
+          >
+            {kind}
+          </button>
+        ))}
+      </div>
+
+      <div style={{ marginTop: '6px', fontSize: '11px', color: '#666', display: 'flex', justifyContent: 'space-between' }}>
+        <span>{results.length} of {groups.length} groups</span>
+        {filtering && (
+          <button
+            onClick={() => {
+              setQuery('');
+              setProperties({});
+              setKinds([]);
+            }}
+            style={{ border: 'none', background: 'none', color: '#667eea', cursor: 'pointer', fontSize: '11px', padding: 0 }}
+          >
+            Clear
+          </button>
+        )}
+      </div>
+
+      <div style={{ maxHeight: '220px', overflowY: 'auto', marginTop: '4px', border: '1px solid #eee', borderRadius: '4px' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+          <thead>
+            <tr>
+              {COLUMNS.map(({ key, label }) => (
+                <th
+                  key={key}
+                  onClick={() => sortBy(key)}
+                  style={{
+                    ...cellStyle,
+                    position: 'sticky',
+                    top: 0,
+                    background: '#f5f5f5',
+                    textAlign: 'left',
+                    cursor: 'pointer',
+                    userSelect: 'none'
+                  }}
+                >
+                  {label}
+                  {sort.key === key && (sort.direction > 0 ? ' ▲' : ' ▼')}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {results.map(({ group, facts }) => (
+              <tr
+                key={group.id}
+                onClick={() => onSelect(group)}
+                style={{ cursor: 'pointer', background: group.id === selectedId ? '#e8eaf6' : 'white' }}
+              >
+                {COLUMNS.map(({ key, value }) => (
+                  <td key={key} style={{ ...cellStyle, fontFamily: key === 'id' ? 'monospace' : 'inherit' }}>
+                    {value(group, facts)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
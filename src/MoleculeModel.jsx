@@ -0,0 +1,52 @@
+import React, { useMemo } from 'react';
+import * as THREE from 'three';
+import { covalentRadius, elementColor } from './molecules.js';
+
+// Largest distance of an atom from the centre once drawn, so that molecules
+// of any size sit inside the symmetry elements like the crystals do
+const DRAWN_RADIUS = 1.4;
+
+// Ball-and-stick model of centred atoms. `ghost` draws it as the orange
+// copy used by animations.
+export default function MoleculeModel({ atoms, bonds, ghost = false }) {
+  const scale = useMemo(() => {
+    const extent = Math.max(...atoms.map(a => Math.hypot(...a.position)));
+    return extent > 0 ? DRAWN_RADIUS / extent : 1;
+  }, [atoms]);
+  const positions = atoms.map(a => new THREE.Vector3(...a.position).multiplyScalar(scale));
+  const ballSize = Math.min(scale, 1);
+
+  const material = (color) => (
+    ghost
+      ? <meshStandardMaterial color="#ff6b35" transparent={true} opacity={0.5} />
+      : <meshStandardMaterial color={color} />
+  );
+
+  return (
+    <group>
+      {atoms.map((atom, i) => (
+        <mesh key={`atom-${i}`} position={positions[i]}>
+          <sphereGeometry args={[0.35 * covalentRadius(atom.element) * ballSize + 0.04, 20, 20]} />
+          {material(elementColor(atom.element))}
+        </mesh>
+      ))}
+      {bonds.map(([a, b], i) => {
+        const start = positions[a];
+        const direction = positions[b].clone().sub(start);
+        return (
+          <mesh
+            key={`bond-${i}`}
+            position={start.clone().addScaledVector(direction, 0.5)}
+            quaternion={new THREE.Quaternion().setFromUnitVectors(
+              new THREE.Vector3(0, 1, 0),
+              direction.clone().normalize()
+            )}
+          >
+            <cylinderGeometry args={[0.04, 0.04, direction.length(), 8]} />
+            {material('#b0b0b0')}
+          </mesh>
+        );
+      })}
+    </group>
+  );
+}
@@ -0,0 +1,65 @@
+import React, { useRef } from 'react';
+import { useThree } from '@react-three/fiber';
+import * as THREE from 'three';
+
+const GENERAL_COLOR = '#43a047';
+const SPECIAL_COLOR = '#d81b60';
+
+function setControlsEnabled(controls, enabled) {
+  if (controls) controls.enabled = enabled;
+}
+
+// The marker point and its copies under the group. The marker can be
+// dragged in the plane facing the camera; while it is held the camera
+// controls are switched off. Positions are in the frame of the parent
+// group, which may be spinning.
+export default function OrbitModel({ orbit, onDrag }) {
+  const controls = useThree(state => state.controls);
+  const dragPlane = useRef(null);
+  const color = orbit.special ? SPECIAL_COLOR : GENERAL_COLOR;
+  const copies = orbit.images.filter(p => Math.hypot(p[0] - orbit.point[0], p[1] - orbit.point[1], p[2] - orbit.point[2]) > 1e-6);
+
+  const grab = (e) => {
+    e.stopPropagation();
+    e.target.setPointerCapture(e.pointerId);
+    const normal = e.camera.getWorldDirection(new THREE.Vector3());
+    dragPlane.current = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, e.object.getWorldPosition(new THREE.Vector3()));
+    setControlsEnabled(controls, false);
+  };
+
+  const move = (e) => {
+    if (!dragPlane.current) return;
+    e.stopPropagation();
+    const hit = e.ray.intersectPlane(dragPlane.current, new THREE.Vector3());
+    if (hit) onDrag(e.object.parent.worldToLocal(hit).toArray());
+  };
+
+  const release = (e) => {
+    if (!dragPlane.current) return;
+    e.target.releasePointerCapture(e.pointerId);
+    dragPlane.current = null;
+    setControlsEnabled(controls, true);
+  };
+
+  return (
+    <group userData={{ export: false }}>
+      <mesh
+        position={orbit.point}
+        onPointerDown={grab}
+        onPointerMove={move}
+        onPointerUp={release}
+        onPointerOver={() => { document.body.style.cursor = 'grab'; }}
+        onPointerOut={() => { document.body.style.cursor = ''; }}
+      >
+        <sphereGeometry args={[0.1, 20, 20]} />
+        <meshStandardMaterial color={color} emissive={color} emissiveIntensity={0.3} />
+      </mesh>
+      {copies.map((p, i) => (
+        <mesh key={i} position={p}>
+          <sphereGeometry args={[0.07, 16, 16]} />
+          <meshStandardMaterial color={color} transparent={true} opacity={0.75} />
+        </mesh>
+      ))}
+    </group>
+  );
+}
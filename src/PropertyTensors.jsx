@@ -0,0 +1,83 @@
+import React, { useState, useMemo } from 'react';
+import { TENSORS, propertyTensor, crystalProperties, formatTerms } from './tensors.js';
+
+const PROPERTIES = [
+  ['centrosymmetric', 'Centrosymmetric'],
+  ['enantiomorphic', 'Enantiomorphic'],
+  ['pyroelectric', 'Pyroelectric'],
+  ['piezoelectric', 'Piezoelectric'],
+  ['opticallyActive', 'Optically active']
+];
+
+const cellStyle = {
+  padding: '2px 4px',
+  border: '1px solid #e0e0e0',
+  whiteSpace: 'nowrap',
+  textAlign: 'center'
+};
+
+const flagStyle = (on) => ({
+  display: 'inline-block',
+  padding: '1px 6px',
+  margin: '0 4px 4px 0',
+  borderRadius: '3px',
+  fontSize: '11px',
+  fontWeight: '600',
+  color: on ? 'white' : '#999',
+  background: on ? '#ff5722' : '#f5f5f5',
+  border: on ? '1px solid #ff5722' : '1px solid #ddd'
+});
+
+// Which components of the property tensors survive in the group, worked
+// out from its operations, and the properties that follow
+export default function PropertyTensors({ elements }) {
+  const [tensor, setTensor] = useState('dielectric');
+  const kind = TENSORS[tensor];
+  const { matrix, independent } = useMemo(() => propertyTensor(kind, elements), [kind, elements]);
+  const properties = useMemo(() => crystalProperties(elements), [elements]);
+
+  return (
+    <div>
+      <div style={{ marginBottom: '8px' }}>
+        {PROPERTIES.map(([key, label]) => (
+          <span key={key} style={flagStyle(properties[key])}>
+            {label}: {properties[key] ? 'yes' : 'no'}
+          </span>
+        ))}
+      </div>
+
+      <select
+        value={tensor}
+        onChange={(e) => setTensor(e.target.value)}
+        style={{ width: '100%', padding: '4px', fontSize: '12px', border: '1px solid #ccc', borderRadius: '3px' }}
+      >
+        {Object.entries(TENSORS).map(([key, { name, rank }]) => (
+          <option key={key} value={key}>{name} (rank {rank})</option>
+        ))}
+      </select>
+
+      <div style={{ overflowX: 'auto', marginTop: '8px' }}>
+        <table style={{ borderCollapse: 'collapse', fontSize: '11px', fontFamily: 'monospace', margin: '0 auto' }}>
+          <tbody>
+            {matrix.map((row, i) => (
+              <tr key={i}>
+                {row.map((terms, j) => (
+                  <td key={j} style={{ ...cellStyle, color: terms.length === 0 ? '#bbb' : '#333' }}>
+                    {formatTerms(terms)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div style={{ marginTop: '6px', fontSize: '12px', color: '#555', lineHeight: '1.5' }}>
+        {independent.length === 0
+          ? 'Forbidden: every component is zero.'
+          : `${independent.length} independent component${independent.length === 1 ? '' : 's'}: ${independent.join(', ')}`}
+        {kind.note && <div style={{ color: '#888' }}>{kind.note}</div>}
+      </div>
+    </div>
+  );
+}
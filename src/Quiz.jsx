@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import { loadMistakes, saveMistakes, recordAnswer, nextQuestion } from './quiz.js';
+
+const SYSTEMS = ['Triclinic', 'Monoclinic', 'Orthorhombic', 'Tetragonal', 'Trigonal', 'Hexagonal', 'Cubic'];
+
+const buttonStyle = {
+  padding: '6px 10px',
+  fontSize: '12px',
+  background: '#fbc02d',
+  color: '#3e2723',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontWeight: '600'
+};
+
+// Quiz on the group drawn in the view. Scores are kept by crystal system
+// for this visit; mistakes per group are remembered in local storage and
+// make that group come back more often.
+export default function Quiz({ question, groups, showElements, onShowElements, onQuestion, onExit }) {
+  const [mistakes, setMistakes] = useState(loadMistakes);
+  const [scores, setScores] = useState({});
+  const [response, setResponse] = useState('');
+  const [result, setResult] = useState(null);
+
+  const answer = (value) => {
+    if (result !== null) return;
+    const correct = question.check(value);
+    const system = question.group.system;
+    const score = scores[system] || { right: 0, asked: 0 };
+    setScores({ ...scores, [system]: { right: score.right + (correct ? 1 : 0), asked: score.asked + 1 } });
+    const updated = recordAnswer(mistakes, question.group.id, correct);
+    setMistakes(updated);
+    saveMistakes(updated);
+    setResult(correct);
+  };
+
+  const next = () => {
+    setResponse('');
+    setResult(null);
+    onQuestion(nextQuestion(groups, mistakes, question.group));
+  };
+
+  const weakSpots = Object.entries(mistakes).sort((a, b) => b[1] - a[1]).slice(0, 5);
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+        <h3 style={{ margin: 0, fontSize: '15px', fontWeight: '700', color: '#f57f17' }}>Quiz</h3>
+        <button onClick={onExit} style={{ ...buttonStyle, background: '#eee', color: '#444' }}>
+          Leave quiz
+        </button>
+      </div>
+
+      <div style={{ padding: '12px', background: '#fffde7', borderRadius: '6px', borderLeft: '4px solid #fbc02d' }}>
+        <div style={{ fontSize: '13px', fontWeight: '600', color: '#333', marginBottom: '10px' }}>
+          {question.prompt}
+        </div>
+
+        {question.choices ? (
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+            {question.choices.map(choice => {
+              const marked = result !== null && (choice === question.answer || choice === response);
+              return (
+                <button
+                  key={choice}
+                  onClick={() => {
+                    setResponse(choice);
+                    answer(choice);
+                  }}
+                  disabled={result !== null}
+                  style={{
+                    padding: '6px 10px',
+                    fontSize: '12px',
+                    textAlign: 'left',
+                    background: marked ? (choice === question.answer ? '#c8e6c9' : '#ffcdd2') : 'white',
+                    border: '1px solid #ccc',
+                    borderRadius: '4px',
+                    cursor: result !== null ? 'default' : 'pointer',
+                    fontFamily: question.kind === 'elements' ? 'monospace' : 'inherit'
+                  }}
+                >
+                  {choice}
+                </button>
+              );
+            })}
+          </div>
+        ) : (
+          <div style={{ display: 'flex', gap: '6px' }}>
+            <input
+              type="text"
+              value={response}
+              onChange={(e) => setResponse(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') answer(response);
+              }}
+              disabled={result !== null}
+              placeholder={question.kind === 'identify' ? 'e.g. 4/mmm or D4h' : 'Number'}
+              style={{
+                flex: 1,
+                padding: '6px',
+                fontSize: '13px',
+                border: '1px solid #ccc',
+                borderRadius: '4px'
+              }}
+            />
+            <button onClick={() => answer(response)} disabled={result !== null} style={buttonStyle}>
+              Check
+            </button>
+          </div>
+        )}
+
+        {result !== null && (
+          <div style={{ marginTop: '10px', fontSize: '13px', color: result ? '#2e7d32' : '#c62828' }}>
+            {result ? 'Correct!' : `Not quite: the answer is ${question.answer}.`}
+            <div style={{ marginTop: '4px', color: '#555' }}>
+              This was {question.group.name}, {question.group.schoenflies} ({question.group.system}).
+            </div>
+            <button onClick={next} style={{ ...buttonStyle, marginTop: '8px' }}>
+              Next question
+            </button>
+          </div>
+        )}
+      </div>
+
+      <label style={{ display: 'flex', alignItems: 'center', margin: '12px 0', fontSize: '13px', cursor: 'pointer' }}>
+        <input
+          type="checkbox"
+          checked={showElements}
+          onChange={(e) => onShowElements(e.target.checked)}
+          style={{ marginRight: '8px' }}
+        />
+        Show symmetry elements
+      </label>
+
+      <h4 style={{ margin: '0 0 6px 0', fontSize: '12px', fontWeight: '600', color: '#444' }}>
+        Score by crystal system
+      </h4>
+      <table style={{ width: '100%', fontSize: '12px', borderCollapse: 'collapse' }}>
+        <tbody>
+          {SYSTEMS.map(system => {
+            const score = scores[system];
+            return (
+              <tr key={system} style={{ borderBottom: '1px solid #eee' }}>
+                <td style={{ padding: '3px 0', color: '#444' }}>{system}</td>
+                <td style={{ padding: '3px 0', textAlign: 'right', color: score ? '#333' : '#aaa' }}>
+                  {score ? `${score.right} / ${score.asked}` : '–'}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      {weakSpots.length > 0 && (
+        <div style={{ marginTop: '12px', fontSize: '12px', color: '#555', lineHeight: '1.5' }}>
+          <strong>Asked more often:</strong>{' '}
+          {weakSpots.map(([id, count]) => `${id} (${count})`).join(', ')}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,225 @@
+import React, { useState } from 'react';
+import { orbit } from './symmetry.js';
+import { Notation } from './CharacterTable.jsx';
+import {
+  reduceRepresentation,
+  irrepActivity,
+  translationCharacters,
+  rotationCharacters,
+  cartesianCharacters,
+  parsePosition
+} from './representations.js';
+
+const cellStyle = {
+  padding: '2px 5px',
+  border: '1px solid #e0e0e0',
+  whiteSpace: 'nowrap',
+  textAlign: 'center'
+};
+
+const badgeStyle = (color) => ({
+  display: 'inline-block',
+  padding: '0 5px',
+  marginLeft: '3px',
+  borderRadius: '3px',
+  fontSize: '10px',
+  fontWeight: '600',
+  color: 'white',
+  background: color
+});
+
+const modeButton = (active) => ({
+  flex: 1,
+  padding: '5px',
+  background: active ? '#e91e63' : 'white',
+  color: active ? 'white' : '#333',
+  border: '1px solid #e91e63',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '12px'
+});
+
+// Γ = 2A₁ + B₂ + …, followed by the activity of each irrep present
+function Decomposition({ title, result }) {
+  if (!result.valid) {
+    return (
+      <div style={{ fontSize: '12px', color: '#c62828', marginTop: '6px' }}>
+        <Notation text={title} />: these characters don't reduce to whole numbers of irreps, so they are not a
+        representation of this group.
+      </div>
+    );
+  }
+  const present = result.counts.filter(c => c.count > 0);
+  return (
+    <div style={{ marginTop: '6px', fontSize: '12px' }}>
+      <div style={{ marginBottom: '4px' }}>
+        <strong><Notation text={title} /></strong> ={' '}
+        {present.length === 0 ? '0' : present.map(({ irrep, count }, i) => (
+          <span key={irrep.label}>
+            {i > 0 && ' + '}
+            {count > 1 && count}
+            <Notation text={irrep.label} />
+          </span>
+        ))}
+      </div>
+      {present.map(({ irrep }) => {
+        const activity = irrepActivity(irrep);
+        return (
+          <span key={irrep.label} style={{ display: 'inline-block', marginRight: '8px' }}>
+            <Notation text={irrep.label} />
+            {activity.ir && <span style={badgeStyle('#e53935')}>IR</span>}
+            {activity.raman && <span style={badgeStyle('#1e88e5')}>Raman</span>}
+            {activity.silent && <span style={badgeStyle('#9e9e9e')}>silent</span>}
+          </span>
+        );
+      })}
+    </div>
+  );
+}
+
+// Reduce a representation typed as characters, or the Cartesian
+// displacements Γ3N of atoms placed on sites, into irreps and mark which
+// are IR- or Raman-active
+export default function SelectionRules({ table, elements }) {
+  const [mode, setMode] = useState('characters');
+  const [inputs, setInputs] = useState(() => table.classes.map(() => ''));
+  const [sites, setSites] = useState([]);
+  const [siteInput, setSiteInput] = useState('0 0 0');
+  const [siteError, setSiteError] = useState(null);
+
+  const typed = inputs.map(s => (s.trim() === '' ? NaN : Number(s)));
+  const typedComplete = typed.every(Number.isFinite);
+
+  const positions = sites.flatMap(site => orbit(site, elements));
+  const gamma3N = cartesianCharacters(table, positions);
+  const translations = translationCharacters(table);
+  const rotations = rotationCharacters(table);
+  const gammaVib = gamma3N.map((chi, k) => chi - translations[k] - rotations[k]);
+  const vibrations = reduceRepresentation(table, gammaVib);
+  const hasVibrations = vibrations.valid && vibrations.counts.some(c => c.count > 0);
+
+  const addSite = () => {
+    try {
+      setSites([...sites, parsePosition(siteInput)]);
+      setSiteError(null);
+    } catch (err) {
+      setSiteError(err.message);
+    }
+  };
+
+  const characterRow = (label, values, editable) => (
+    <tr>
+      <th style={{ ...cellStyle, background: '#f5f5f5' }}><Notation text={label} /></th>
+      {values.map((v, k) => (
+        <td key={k} style={cellStyle}>
+          {editable ? (
+            <input
+              type="text"
+              value={inputs[k]}
+              onChange={(e) => setInputs(inputs.map((s, i) => (i === k ? e.target.value : s)))}
+              style={{ width: '32px', fontSize: '11px', textAlign: 'center' }}
+            />
+          ) : (
+            String(Math.round(v * 1000) / 1000).replace('-', '−')
+          )}
+        </td>
+      ))}
+    </tr>
+  );
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '4px', marginBottom: '8px' }}>
+        <button onClick={() => setMode('characters')} style={modeButton(mode === 'characters')}>
+          Type characters
+        </button>
+        <button onClick={() => setMode('atoms')} style={modeButton(mode === 'atoms')}>
+          Atoms on sites
+        </button>
+      </div>
+
+      {mode === 'atoms' && (
+        <div style={{ marginBottom: '8px', fontSize: '12px' }}>
+          <div style={{ display: 'flex', gap: '4px', marginBottom: '4px' }}>
+            <input
+              type="text"
+              value={siteInput}
+              onChange={(e) => setSiteInput(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && addSite()}
+              placeholder="x y z"
+              style={{ flex: 1, padding: '4px', fontSize: '12px' }}
+            />
+            <button onClick={addSite} style={modeButton(false)}>Add site</button>
+          </div>
+          {siteError && <div style={{ color: '#c62828', marginBottom: '4px' }}>{siteError}</div>}
+          <div style={{ color: '#555', marginBottom: '4px' }}>
+            Cartesian position of one atom; every symmetry-equivalent atom is added with it.
+          </div>
+          {sites.map((site, i) => {
+            const count = orbit(site, elements).length;
+            return (
+              <div key={i} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <span style={{ fontFamily: 'monospace' }}>
+                  ({site.join(', ')}) × {count} — site symmetry order {elements.length / count}
+                </span>
+                <button
+                  onClick={() => setSites(sites.filter((_, j) => j !== i))}
+                  style={{ border: 'none', background: 'none', cursor: 'pointer', color: '#c62828' }}
+                >
+                  ✕
+                </button>
+              </div>
+            );
+          })}
+          {sites.length > 0 && <div style={{ marginTop: '4px' }}><strong>N = {positions.length}</strong></div>}
+        </div>
+      )}
+
+      <div style={{ overflowX: 'auto', border: '1px solid #ccc', borderRadius: '4px', background: 'white' }}>
+        <table style={{ borderCollapse: 'collapse', fontSize: '11px' }}>
+          <thead>
+            <tr>
+              <th style={{ ...cellStyle, background: '#cfd8dc' }}></th>
+              {table.classes.map(c => (
+                <th key={c.label} style={{ ...cellStyle, background: '#eceff1' }}>
+                  <Notation text={c.label} />
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {mode === 'characters'
+              ? characterRow('Γ', inputs, true)
+              : (
+                <>
+                  {characterRow('Γ_3N', gamma3N, false)}
+                  {characterRow('Γ_vib', gammaVib, false)}
+                </>
+              )}
+          </tbody>
+        </table>
+      </div>
+
+      {mode === 'characters' && (typedComplete
+        ? <Decomposition title="Γ" result={reduceRepresentation(table, typed)} />
+        : (
+          <div style={{ marginTop: '6px', fontSize: '12px', color: '#666', fontStyle: 'italic' }}>
+            Enter a character for every class
+          </div>
+        ))}
+
+      {mode === 'atoms' && positions.length > 0 && (
+        <>
+          <Decomposition title="Γ_3N" result={reduceRepresentation(table, gamma3N)} />
+          {hasVibrations
+            ? <Decomposition title="Γ_vib" result={vibrations} />
+            : (
+              <div style={{ marginTop: '6px', fontSize: '12px', color: '#666', fontStyle: 'italic' }}>
+                No 3N − 6 vibrations: too few atoms, or the atoms lie on a line
+              </div>
+            )}
+        </>
+      )}
+    </div>
+  );
+}
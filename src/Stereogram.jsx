@@ -0,0 +1,173 @@
+import React, { useMemo } from 'react';
+import { symmetryElements, transform, normalize, cross } from './symmetry.js';
+
+const SIZE = 240;
+const R = 100;
+const C = SIZE / 2;
+const SYMBOL = 7;
+
+const AXIS_COLOR = '#e63946';
+const ROTO_COLOR = '#ff6b35';
+const MIRROR_COLOR = '#2196f3';
+const HIGHLIGHT_COLOR = '#ffb300';
+
+// A representative general position, away from every axis and plane
+const GENERAL_POSITION = normalize([0.62, 0.28, 0.73]);
+
+// Stereographic projection onto the xy plane, looking down +z. Following
+// International Tables, +x points down the page and +y to the right.
+function project(v) {
+  const [x, y, z] = v;
+  const d = 1 + Math.abs(z);
+  return [C + (R * y) / d, C + (R * x) / d];
+}
+
+function polygonPoints(sides, radius, rotation) {
+  return Array.from({ length: sides }, (_, k) => {
+    const a = rotation + (2 * Math.PI * k) / sides;
+    return `${radius * Math.cos(a)},${radius * Math.sin(a)}`;
+  }).join(' ');
+}
+
+function lensPath(length, width) {
+  return `M ${-length} 0 Q 0 ${-width} ${length} 0 Q 0 ${width} ${-length} 0 Z`;
+}
+
+// International Tables graphical symbol for an n-fold or -n axis
+function AxisSymbol({ order, roto, color }) {
+  if (order === 2) {
+    return <path d={lensPath(SYMBOL * 1.2, SYMBOL)} fill={color} />;
+  }
+  if (order === 3) {
+    return (
+      <>
+        <polygon points={polygonPoints(3, SYMBOL, -Math.PI / 2)} fill={color} />
+        {roto && <circle r={SYMBOL * 0.3} fill="white" />}
+      </>
+    );
+  }
+  if (order === 4) {
+    return (
+      <>
+        <polygon points={polygonPoints(4, SYMBOL, Math.PI / 4)} fill={color} />
+        {roto && <path d={lensPath(SYMBOL * 0.55, SYMBOL * 0.45)} fill="white" />}
+      </>
+    );
+  }
+  if (order === 6) {
+    return roto ? (
+      <>
+        <polygon points={polygonPoints(6, SYMBOL, 0)} fill="white" stroke={color} strokeWidth={1.5} />
+        <polygon points={polygonPoints(3, SYMBOL * 0.6, -Math.PI / 2)} fill={color} />
+      </>
+    ) : (
+      <polygon points={polygonPoints(6, SYMBOL, 0)} fill={color} />
+    );
+  }
+  return null;
+}
+
+// Poles of an axis on the upper hemisphere; horizontal axes meet the
+// primitive circle at both ends.
+function axisPoles(axis) {
+  const up = axis[2] < 0 ? axis.map(x => -x) : axis;
+  if (Math.abs(up[2]) < 1e-6) {
+    return [up, up.map(x => -x)];
+  }
+  return [up];
+}
+
+// Trace of a mirror plane as an SVG path: the primitive circle for a
+// horizontal mirror, otherwise the upper half of its great circle.
+function mirrorPath(normal) {
+  if (Math.abs(Math.abs(normal[2]) - 1) < 1e-6) {
+    return `M ${C - R} ${C} A ${R} ${R} 0 1 0 ${C + R} ${C} A ${R} ${R} 0 1 0 ${C - R} ${C}`;
+  }
+  const u = normalize(cross(normal, [0, 0, 1]));
+  let w = cross(normal, u);
+  if (w[2] < 0) w = w.map(x => -x);
+  const points = [];
+  for (let k = 0; k <= 64; k++) {
+    const t = (Math.PI * k) / 64;
+    points.push(project(u.map((x, i) => x * Math.cos(t) + w[i] * Math.sin(t))));
+  }
+  return points.map(([x, y], k) => `${k === 0 ? 'M' : 'L'} ${x} ${y}`).join(' ');
+}
+
+export default function Stereogram({ elements, highlighted = [], onHighlight }) {
+  const symmetry = symmetryElements(elements);
+  const poles = useMemo(
+    () => elements.map(el => transform(el.matrix, GENERAL_POSITION)),
+    [elements]
+  );
+  const hasCentralRotoinversion = symmetry.some(
+    op => op.type === 'rotation' && op.roto && Math.abs(Math.abs(op.axis[2]) - 1) < 1e-6
+  );
+
+  const hover = op => ({
+    onMouseEnter: () => onHighlight?.([op]),
+    onMouseLeave: () => onHighlight?.([]),
+    style: { cursor: 'pointer' }
+  });
+
+  return (
+    <svg width={SIZE} height={SIZE} viewBox={`0 0 ${SIZE} ${SIZE}`}>
+      <circle cx={C} cy={C} r={R} fill="white" stroke="#888" strokeWidth={1} />
+
+      {/* Mirror planes */}
+      {symmetry.filter(op => op.type === 'mirror').map((op, i) => {
+        const active = highlighted.includes(op);
+        const d = mirrorPath(op.normal);
+        return (
+          <g key={`m-${i}`} {...hover(op)}>
+            <path d={d} fill="none" stroke="transparent" strokeWidth={8} />
+            <path
+              d={d}
+              fill="none"
+              stroke={active ? HIGHLIGHT_COLOR : MIRROR_COLOR}
+              strokeWidth={active ? 4 : 2.5}
+            />
+          </g>
+        );
+      })}
+
+      {/* General position: dots above the plane, circles below */}
+      {poles.map((p, i) => {
+        const [x, y] = project(p);
+        return p[2] >= 0
+          ? <circle key={`p-${i}`} cx={x} cy={y} r={3} fill="#333" />
+          : <circle key={`p-${i}`} cx={x} cy={y} r={4.5} fill="none" stroke="#333" strokeWidth={1.2} />;
+      })}
+
+      {/* Rotation and rotoinversion axes */}
+      {symmetry.filter(op => op.type === 'rotation').map((op, i) =>
+        axisPoles(op.axis).map((pole, j) => {
+          const [x, y] = project(pole);
+          const radial = Math.atan2(y - C, x - C) * 180 / Math.PI;
+          const active = highlighted.includes(op);
+          const color = active ? HIGHLIGHT_COLOR : op.roto ? ROTO_COLOR : AXIS_COLOR;
+          return (
+            <g key={`a-${i}-${j}`} transform={`translate(${x} ${y}) rotate(${radial})`} {...hover(op)}>
+              <AxisSymbol order={op.order} roto={op.roto} color={color} />
+            </g>
+          );
+        })
+      )}
+
+      {/* Inversion centre, unless a -n axis symbol already marks it. Over
+          a proper n-fold axis (n/m) it sits inside the axis symbol. */}
+      {symmetry.filter(op => op.type === 'inversion' && !hasCentralRotoinversion).map((op, i) => (
+        <circle
+          key={`i-${i}`}
+          cx={C}
+          cy={C}
+          r={4}
+          fill="white"
+          stroke={highlighted.includes(op) ? HIGHLIGHT_COLOR : '#1a1a1a'}
+          strokeWidth={2}
+          {...hover(op)}
+        />
+      ))}
+    </svg>
+  );
+}
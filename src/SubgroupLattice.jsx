@@ -0,0 +1,98 @@
+import React, { useMemo } from 'react';
+import { subgroupLattice } from './subgroups.js';
+
+const WIDTH = 300;
+const ROW_HEIGHT = 44;
+const LABEL_WIDTH = 24;
+const NODE_WIDTH = 40;
+const NODE_HEIGHT = 18;
+
+// Maximal subgroup lattice of the point groups, drawn with the largest
+// groups at the top and one row per group order.
+export default function SubgroupLattice({ groups, selectedId, selectedEdge, onSelectGroup, onSelectEdge }) {
+  const lattice = useMemo(() => subgroupLattice(groups), [groups]);
+
+  const orders = [...new Set(lattice.nodes.map(n => n.order))].sort((a, b) => b - a);
+  const height = orders.length * ROW_HEIGHT;
+
+  const positions = {};
+  orders.forEach((order, row) => {
+    const nodes = lattice.nodes.filter(n => n.order === order);
+    const span = (WIDTH - LABEL_WIDTH) / nodes.length;
+    nodes.forEach((n, k) => {
+      positions[n.id] = {
+        x: LABEL_WIDTH + span * (k + 0.5),
+        y: ROW_HEIGHT * (row + 0.5)
+      };
+    });
+  });
+
+  const isSelectedEdge = e => selectedEdge && selectedEdge.from === e.from && selectedEdge.to === e.to;
+
+  return (
+    <svg width={WIDTH} height={height} viewBox={`0 0 ${WIDTH} ${height}`} style={{ display: 'block' }}>
+      {orders.map((order, row) => (
+        <text
+          key={order}
+          x={2}
+          y={ROW_HEIGHT * (row + 0.5) + 4}
+          fontSize={10}
+          fill="#999"
+        >
+          {order}
+        </text>
+      ))}
+
+      {/* Edges: supergroup (above) to maximal subgroup (below) */}
+      {lattice.edges.map(e => {
+        const a = positions[e.from];
+        const b = positions[e.to];
+        const selected = isSelectedEdge(e);
+        const touching = e.from === selectedId || e.to === selectedId;
+        return (
+          <g key={`${e.from}>${e.to}`} onClick={() => onSelectEdge(e)} style={{ cursor: 'pointer' }}>
+            <line x1={a.x} y1={a.y} x2={b.x} y2={b.y} stroke="transparent" strokeWidth={7} />
+            <line
+              x1={a.x}
+              y1={a.y}
+              x2={b.x}
+              y2={b.y}
+              stroke={selected ? '#ff9800' : touching ? '#764ba2' : '#cfd8dc'}
+              strokeWidth={selected ? 3 : touching ? 1.5 : 1}
+            />
+          </g>
+        );
+      })}
+
+      {/* Nodes */}
+      {lattice.nodes.map(n => {
+        const { x, y } = positions[n.id];
+        const selected = n.id === selectedId;
+        return (
+          <g key={n.id} onClick={() => onSelectGroup(n.group)} style={{ cursor: 'pointer' }}>
+            <rect
+              x={x - NODE_WIDTH / 2}
+              y={y - NODE_HEIGHT / 2}
+              width={NODE_WIDTH}
+              height={NODE_HEIGHT}
+              rx={4}
+              fill={selected ? '#764ba2' : 'white'}
+              stroke="#764ba2"
+              strokeWidth={1}
+            />
+            <text
+              x={x}
+              y={y + 4}
+              textAnchor="middle"
+              fontSize={11}
+              fontWeight="600"
+              fill={selected ? 'white' : '#333'}
+            >
+              {n.id}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
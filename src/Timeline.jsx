@@ -0,0 +1,97 @@
+import React, { useState, useEffect } from 'react';
+import { STEP_DURATION, stepTime } from './timeline.js';
+
+const SPEEDS = [0.25, 0.5, 1, 2];
+
+const buttonStyle = {
+  padding: '4px 8px',
+  background: '#fff',
+  color: '#e65100',
+  border: '1px solid #e65100',
+  borderRadius: '3px',
+  cursor: 'pointer',
+  fontSize: '12px',
+  fontWeight: '600'
+};
+
+// Play, pause, scrub and step the running animation. `clockRef` holds the
+// time the scene animates from; this panel follows it and can move it.
+export default function Timeline({ clockRef, timeline, playing, onPlayingChange, speed, onSpeedChange, trails, onTrailsChange }) {
+  const [time, setTime] = useState(0);
+
+  useEffect(() => {
+    let frame;
+    const follow = () => {
+      setTime(clockRef.current.time);
+      frame = requestAnimationFrame(follow);
+    };
+    frame = requestAnimationFrame(follow);
+    return () => cancelAnimationFrame(frame);
+  }, [clockRef]);
+
+  const seek = (t) => {
+    onPlayingChange(false);
+    clockRef.current.time = t;
+    setTime(t);
+  };
+
+  const steps = timeline.marks.length;
+  const stagesDone = Math.min(Math.floor(time / STEP_DURATION), timeline.stages.length);
+  const stepsDone = timeline.marks.filter(done => done <= stagesDone).length;
+
+  return (
+    <div style={{ marginBottom: '10px', padding: '8px', background: '#fff8e1', borderRadius: '4px', fontSize: '12px' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+        <button onClick={() => seek(stepTime(timeline, time, -1))} title="Back one step" style={buttonStyle}>
+          ⏮
+        </button>
+        <button onClick={() => onPlayingChange(!playing)} title={playing ? 'Pause' : 'Play'} style={buttonStyle}>
+          {playing ? '⏸' : '▶'}
+        </button>
+        <button onClick={() => seek(stepTime(timeline, time, 1))} title="Forward one step" style={buttonStyle}>
+          ⏭
+        </button>
+        <select
+          value={speed}
+          onChange={(e) => onSpeedChange(Number(e.target.value))}
+          title="Speed"
+          style={{ marginLeft: 'auto', padding: '3px', fontSize: '12px', border: '1px solid #ccc', borderRadius: '3px' }}
+        >
+          {SPEEDS.map(s => (
+            <option key={s} value={s}>{s}×</option>
+          ))}
+        </select>
+      </div>
+
+      <input
+        type="range"
+        min={0}
+        max={timeline.duration}
+        step={0.01}
+        value={time}
+        onChange={(e) => seek(Number(e.target.value))}
+        style={{ width: '100%', margin: '8px 0 2px 0' }}
+      />
+      <div style={{ display: 'flex', justifyContent: 'space-between', color: '#666' }}>
+        <span>Step {stepsDone} of {steps} done</span>
+        <span>{time.toFixed(1)} / {timeline.duration} s</span>
+      </div>
+
+      <label style={{ display: 'flex', alignItems: 'center', marginTop: '6px', cursor: 'pointer', color: '#444' }}>
+        <input
+          type="checkbox"
+          checked={trails}
+          onChange={(e) => onTrailsChange(e.target.checked)}
+          style={{ marginRight: '8px' }}
+        />
+        Leave a ghost copy after each step
+      </label>
+      {trails && (
+        <div style={{ marginTop: '4px', color: '#666', lineHeight: '1.4' }}>
+          A single operation repeats until it is back at the start, passing every
+          position it relates.
+        </div>
+      )}
+    </div>
+  );
+}
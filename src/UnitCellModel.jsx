@@ -0,0 +1,50 @@
+import React, { useMemo, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { Line } from '@react-three/drei';
+import * as THREE from 'three';
+import { transform } from './symmetry.js';
+import { CELL_CORNERS, CELL_EDGES } from './cif.js';
+import { cellMatrix } from './lattice.js';
+import { covalentRadius, elementColor } from './molecules.js';
+
+// Largest distance of a cell corner from the cell centre once drawn
+const DRAWN_RADIUS = 1.6;
+
+// Unit cell of a structure with its atoms, turned by `orientation` into
+// the standard setting of its point group so it lines up with the shape
+// drawn beside it. Spins with the shape when `spinning`.
+export default function UnitCellModel({ structure, atoms, orientation, spinning }) {
+  const spinRef = useRef();
+
+  const { corners, positions, scale } = useMemo(() => {
+    const cart = cellMatrix(structure.cell);
+    const place = (f) => transform(orientation, transform(cart, f.map(x => x - 0.5)));
+    const cornerPoints = CELL_CORNERS.map(place);
+    const extent = Math.max(...cornerPoints.map(p => Math.hypot(...p)));
+    const s = DRAWN_RADIUS / extent;
+    const toScene = (p) => new THREE.Vector3(...p).multiplyScalar(s);
+    return {
+      corners: cornerPoints.map(toScene),
+      positions: atoms.map(a => toScene(place(a.fract))),
+      scale: s
+    };
+  }, [structure, atoms, orientation]);
+
+  useFrame((state, delta) => {
+    if (spinning && spinRef.current) spinRef.current.rotation.y += delta * 0.3;
+  });
+
+  return (
+    <group ref={spinRef}>
+      {CELL_EDGES.map(([i, j]) => (
+        <Line key={`${i}-${j}`} points={[corners[i], corners[j]]} color="#37474f" lineWidth={1.5} />
+      ))}
+      {atoms.map((atom, i) => (
+        <mesh key={i} position={positions[i]}>
+          <sphereGeometry args={[Math.max(0.05, 0.3 * covalentRadius(atom.element) * scale), 16, 16]} />
+          <meshStandardMaterial color={elementColor(atom.element)} />
+        </mesh>
+      ))}
+    </group>
+  );
+}
@@ -0,0 +1,522 @@
+// Character tables of the 32 crystallographic point groups, keyed by their
+// Schoenflies symbol.
+//
+// Each class is [label, representative]. The representative is one
+// operation of the class in the standard setting (principal axis along z,
+// C₂' and σv through x): 'E', 'i', 'C4z', 'C4z^3' (C₄ applied three
+// times), 'C2[1,1,0]', 'σz' (mirror with normal z) or 'iC4z' (inversion
+// times C₄). Labels use '_' for subscripts and '^' for superscripts.
+//
+// Each irrep is [label, characters, linear functions, quadratic functions].
+// A complex-conjugate pair is written as two rows with the same label; the
+// basis functions go on the first. ε = exp(2πi/n) with n from `epsilon`.
+
+import {
+  multiply,
+  transpose,
+  rotationMatrix,
+  mirrorMatrix,
+  scale,
+  matricesEqual,
+  normalize,
+  groupElements,
+  conjugacyClasses,
+  IDENTITY,
+  INVERSION,
+  AXIS_ROTATIONS
+} from './symmetry.js';
+
+const characterTables = {
+  'C₁': {
+    classes: [['E', 'E']],
+    irreps: [
+      ['A', [1], 'x, y, z, Rx, Ry, Rz', 'x², y², z², xy, xz, yz']
+    ]
+  },
+  'Cᵢ': {
+    classes: [['E', 'E'], ['i', 'i']],
+    irreps: [
+      ['A_g', [1, 1], 'Rx, Ry, Rz', 'x², y², z², xy, xz, yz'],
+      ['A_u', [1, -1], 'x, y, z', '']
+    ]
+  },
+  'C₂': {
+    classes: [['E', 'E'], ['C_2', 'C2z']],
+    irreps: [
+      ['A', [1, 1], 'z, Rz', 'x², y², z², xy'],
+      ['B', [1, -1], 'x, y, Rx, Ry', 'yz, xz']
+    ]
+  },
+  'Cs': {
+    classes: [['E', 'E'], ['σ_h', 'σz']],
+    irreps: [
+      ["A'", [1, 1], 'x, y, Rz', 'x², y², z², xy'],
+      ["A''", [1, -1], 'z, Rx, Ry', 'yz, xz']
+    ]
+  },
+  'C₂h': {
+    classes: [['E', 'E'], ['C_2', 'C2z'], ['i', 'i'], ['σ_h', 'σz']],
+    irreps: [
+      ['A_g', [1, 1, 1, 1], 'Rz', 'x², y², z², xy'],
+      ['B_g', [1, -1, 1, -1], 'Rx, Ry', 'xz, yz'],
+      ['A_u', [1, 1, -1, -1], 'z', ''],
+      ['B_u', [1, -1, -1, 1], 'x, y', '']
+    ]
+  },
+  'D₂': {
+    classes: [['E', 'E'], ['C_2(z)', 'C2z'], ['C_2(y)', 'C2y'], ['C_2(x)', 'C2x']],
+    irreps: [
+      ['A', [1, 1, 1, 1], '', 'x², y², z²'],
+      ['B_1', [1, 1, -1, -1], 'z, Rz', 'xy'],
+      ['B_2', [1, -1, 1, -1], 'y, Ry', 'xz'],
+      ['B_3', [1, -1, -1, 1], 'x, Rx', 'yz']
+    ]
+  },
+  'C₂v': {
+    classes: [['E', 'E'], ['C_2', 'C2z'], ['σ_v(xz)', 'σy'], ["σ_v'(yz)", 'σx']],
+    irreps: [
+      ['A_1', [1, 1, 1, 1], 'z', 'x², y², z²'],
+      ['A_2', [1, 1, -1, -1], 'Rz', 'xy'],
+      ['B_1', [1, -1, 1, -1], 'x, Ry', 'xz'],
+      ['B_2', [1, -1, -1, 1], 'y, Rx', 'yz']
+    ]
+  },
+  'D₂h': {
+    classes: [
+      ['E', 'E'], ['C_2(z)', 'C2z'], ['C_2(y)', 'C2y'], ['C_2(x)', 'C2x'],
+      ['i', 'i'], ['σ(xy)', 'σz'], ['σ(xz)', 'σy'], ['σ(yz)', 'σx']
+    ],
+    irreps: [
+      ['A_g', [1, 1, 1, 1, 1, 1, 1, 1], '', 'x², y², z²'],
+      ['B_1g', [1, 1, -1, -1, 1, 1, -1, -1], 'Rz', 'xy'],
+      ['B_2g', [1, -1, 1, -1, 1, -1, 1, -1], 'Ry', 'xz'],
+      ['B_3g', [1, -1, -1, 1, 1, -1, -1, 1], 'Rx', 'yz'],
+      ['A_u', [1, 1, 1, 1, -1, -1, -1, -1], '', ''],
+      ['B_1u', [1, 1, -1, -1, -1, -1, 1, 1], 'z', ''],
+      ['B_2u', [1, -1, 1, -1, -1, 1, -1, 1], 'y', ''],
+      ['B_3u', [1, -1, -1, 1, -1, 1, 1, -1], 'x', '']
+    ]
+  },
+  'C₄': {
+    classes: [['E', 'E'], ['C_4', 'C4z'], ['C_2', 'C2z'], ['C_4^3', 'C4z^3']],
+    irreps: [
+      ['A', [1, 1, 1, 1], 'z, Rz', 'x²+y², z²'],
+      ['B', [1, -1, 1, -1], '', 'x²−y², xy'],
+      ['E', [1, 'i', -1, '-i'], '(x, y), (Rx, Ry)', '(xz, yz)'],
+      ['E', [1, '-i', -1, 'i']]
+    ]
+  },
+  'S₄': {
+    classes: [['E', 'E'], ['S_4', 'iC4z^3'], ['C_2', 'C2z'], ['S_4^3', 'iC4z']],
+    irreps: [
+      ['A', [1, 1, 1, 1], 'Rz', 'x²+y², z²'],
+      ['B', [1, -1, 1, -1], 'z', 'x²−y², xy'],
+      ['E', [1, 'i', -1, '-i'], '(x, y), (Rx, Ry)', '(xz, yz)'],
+      ['E', [1, '-i', -1, 'i']]
+    ]
+  },
+  'C₄h': {
+    classes: [
+      ['E', 'E'], ['C_4', 'C4z'], ['C_2', 'C2z'], ['C_4^3', 'C4z^3'],
+      ['i', 'i'], ['S_4^3', 'iC4z'], ['σ_h', 'σz'], ['S_4', 'iC4z^3']
+    ],
+    irreps: [
+      ['A_g', [1, 1, 1, 1, 1, 1, 1, 1], 'Rz', 'x²+y², z²'],
+      ['B_g', [1, -1, 1, -1, 1, -1, 1, -1], '', 'x²−y², xy'],
+      ['E_g', [1, 'i', -1, '-i', 1, 'i', -1, '-i'], '(Rx, Ry)', '(xz, yz)'],
+      ['E_g', [1, '-i', -1, 'i', 1, '-i', -1, 'i']],
+      ['A_u', [1, 1, 1, 1, -1, -1, -1, -1], 'z', ''],
+      ['B_u', [1, -1, 1, -1, -1, 1, -1, 1], '', ''],
+      ['E_u', [1, 'i', -1, '-i', -1, '-i', 1, 'i'], '(x, y)', ''],
+      ['E_u', [1, '-i', -1, 'i', -1, 'i', 1, '-i']]
+    ]
+  },
+  'D₄': {
+    classes: [['E', 'E'], ['2C_4', 'C4z'], ['C_2', 'C2z'], ["2C_2'", 'C2x'], ["2C_2''", 'C2[1,1,0]']],
+    irreps: [
+      ['A_1', [1, 1, 1, 1, 1], '', 'x²+y², z²'],
+      ['A_2', [1, 1, 1, -1, -1], 'z, Rz', ''],
+      ['B_1', [1, -1, 1, 1, -1], '', 'x²−y²'],
+      ['B_2', [1, -1, 1, -1, 1], '', 'xy'],
+      ['E', [2, 0, -2, 0, 0], '(x, y), (Rx, Ry)', '(xz, yz)']
+    ]
+  },
+  'C₄v': {
+    classes: [['E', 'E'], ['2C_4', 'C4z'], ['C_2', 'C2z'], ['2σ_v', 'σx'], ['2σ_d', 'σ[1,1,0]']],
+    irreps: [
+      ['A_1', [1, 1, 1, 1, 1], 'z', 'x²+y², z²'],
+      ['A_2', [1, 1, 1, -1, -1], 'Rz', ''],
+      ['B_1', [1, -1, 1, 1, -1], '', 'x²−y²'],
+      ['B_2', [1, -1, 1, -1, 1], '', 'xy'],
+      ['E', [2, 0, -2, 0, 0], '(x, y), (Rx, Ry)', '(xz, yz)']
+    ]
+  },
+  'D₂d': {
+    classes: [['E', 'E'], ['2S_4', 'iC4z'], ['C_2', 'C2z'], ["2C_2'", 'C2x'], ['2σ_d', 'σ[1,1,0]']],
+    irreps: [
+      ['A_1', [1, 1, 1, 1, 1], '', 'x²+y², z²'],
+      ['A_2', [1, 1, 1, -1, -1], 'Rz', ''],
+      ['B_1', [1, -1, 1, 1, -1], '', 'x²−y²'],
+      ['B_2', [1, -1, 1, -1, 1], 'z', 'xy'],
+      ['E', [2, 0, -2, 0, 0], '(x, y), (Rx, Ry)', '(xz, yz)']
+    ]
+  },
+  'D₄h': {
+    classes: [
+      ['E', 'E'], ['2C_4', 'C4z'], ['C_2', 'C2z'], ["2C_2'", 'C2x'], ["2C_2''", 'C2[1,1,0]'],
+      ['i', 'i'], ['2S_4', 'iC4z'], ['σ_h', 'σz'], ['2σ_v', 'σx'], ['2σ_d', 'σ[1,1,0]']
+    ],
+    irreps: [
+      ['A_1g', [1, 1, 1, 1, 1, 1, 1, 1, 1, 1], '', 'x²+y², z²'],
+      ['A_2g', [1, 1, 1, -1, -1, 1, 1, 1, -1, -1], 'Rz', ''],
+      ['B_1g', [1, -1, 1, 1, -1, 1, -1, 1, 1, -1], '', 'x²−y²'],
+      ['B_2g', [1, -1, 1, -1, 1, 1, -1, 1, -1, 1], '', 'xy'],
+      ['E_g', [2, 0, -2, 0, 0, 2, 0, -2, 0, 0], '(Rx, Ry)', '(xz, yz)'],
+      ['A_1u', [1, 1, 1, 1, 1, -1, -1, -1, -1, -1], '', ''],
+      ['A_2u', [1, 1, 1, -1, -1, -1, -1, -1, 1, 1], 'z', ''],
+      ['B_1u', [1, -1, 1, 1, -1, -1, 1, -1, -1, 1], '', ''],
+      ['B_2u', [1, -1, 1, -1, 1, -1, 1, -1, 1, -1], '', ''],
+      ['E_u', [2, 0, -2, 0, 0, -2, 0, 2, 0, 0], '(x, y)', '']
+    ]
+  },
+  'C₃': {
+    epsilon: 3,
+    classes: [['E', 'E'], ['C_3', 'C3z'], ['C_3^2', 'C3z^2']],
+    irreps: [
+      ['A', [1, 1, 1], 'z, Rz', 'x²+y², z²'],
+      ['E', [1, 'ε', 'ε*'], '(x, y), (Rx, Ry)', '(x²−y², xy), (xz, yz)'],
+      ['E', [1, 'ε*', 'ε']]
+    ]
+  },
+  'C₃ᵢ': {
+    epsilon: 3,
+    classes: [
+      ['E', 'E'], ['C_3', 'C3z'], ['C_3^2', 'C3z^2'],
+      ['i', 'i'], ['S_6^5', 'iC3z'], ['S_6', 'iC3z^2']
+    ],
+    irreps: [
+      ['A_g', [1, 1, 1, 1, 1, 1], 'Rz', 'x²+y², z²'],
+      ['E_g', [1, 'ε', 'ε*', 1, 'ε', 'ε*'], '(Rx, Ry)', '(x²−y², xy), (xz, yz)'],
+      ['E_g', [1, 'ε*', 'ε', 1, 'ε*', 'ε']],
+      ['A_u', [1, 1, 1, -1, -1, -1], 'z', ''],
+      ['E_u', [1, 'ε', 'ε*', -1, '-ε', '-ε*'], '(x, y)', ''],
+      ['E_u', [1, 'ε*', 'ε', -1, '-ε*', '-ε']]
+    ]
+  },
+  'D₃': {
+    classes: [['E', 'E'], ['2C_3', 'C3z'], ['3C_2', 'C2x']],
+    irreps: [
+      ['A_1', [1, 1, 1], '', 'x²+y², z²'],
+      ['A_2', [1, 1, -1], 'z, Rz', ''],
+      ['E', [2, -1, 0], '(x, y), (Rx, Ry)', '(x²−y², xy), (xz, yz)']
+    ]
+  },
+  'C₃v': {
+    classes: [['E', 'E'], ['2C_3', 'C3z'], ['3σ_v', 'σx']],
+    irreps: [
+      ['A_1', [1, 1, 1], 'z', 'x²+y², z²'],
+      ['A_2', [1, 1, -1], 'Rz', ''],
+      ['E', [2, -1, 0], '(x, y), (Rx, Ry)', '(x²−y², xy), (xz, yz)']
+    ]
+  },
+  'D₃d': {
+    classes: [['E', 'E'], ['2C_3', 'C3z'], ['3C_2', 'C2x'], ['i', 'i'], ['2S_6', 'iC3z'], ['3σ_d', 'σx']],
+    irreps: [
+      ['A_1g', [1, 1, 1, 1, 1, 1], '', 'x²+y², z²'],
+      ['A_2g', [1, 1, -1, 1, 1, -1], 'Rz', ''],
+      ['E_g', [2, -1, 0, 2, -1, 0], '(Rx, Ry)', '(x²−y², xy), (xz, yz)'],
+      ['A_1u', [1, 1, 1, -1, -1, -1], '', ''],
+      ['A_2u', [1, 1, -1, -1, -1, 1], 'z', ''],
+      ['E_u', [2, -1, 0, -2, 1, 0], '(x, y)', '']
+    ]
+  },
+  'C₆': {
+    epsilon: 6,
+    classes: [
+      ['E', 'E'], ['C_6', 'C6z'], ['C_3', 'C3z'], ['C_2', 'C2z'], ['C_3^2', 'C3z^2'], ['C_6^5', 'C6z^5']
+    ],
+    irreps: [
+      ['A', [1, 1, 1, 1, 1, 1], 'z, Rz', 'x²+y², z²'],
+      ['B', [1, -1, 1, -1, 1, -1], '', ''],
+      ['E_1', [1, 'ε', '-ε*', -1, '-ε', 'ε*'], '(x, y), (Rx, Ry)', '(xz, yz)'],
+      ['E_1', [1, 'ε*', '-ε', -1, '-ε*', 'ε']],
+      ['E_2', [1, '-ε*', '-ε', 1, '-ε*', '-ε'], '', '(x²−y², xy)'],
+      ['E_2', [1, '-ε', '-ε*', 1, '-ε', '-ε*']]
+    ]
+  },
+  'C₃h': {
+    epsilon: 3,
+    classes: [
+      ['E', 'E'], ['C_3', 'C3z'], ['C_3^2', 'C3z^2'], ['σ_h', 'σz'], ['S_3', 'iC6z^5'], ['S_3^5', 'iC6z']
+    ],
+    irreps: [
+      ["A'", [1, 1, 1, 1, 1, 1], 'Rz', 'x²+y², z²'],
+      ["E'", [1, 'ε', 'ε*', 1, 'ε', 'ε*'], '(x, y)', '(x²−y², xy)'],
+      ["E'", [1, 'ε*', 'ε', 1, 'ε*', 'ε']],
+      ["A''", [1, 1, 1, -1, -1, -1], 'z', ''],
+      ["E''", [1, 'ε', 'ε*', -1, '-ε', '-ε*'], '(Rx, Ry)', '(xz, yz)'],
+      ["E''", [1, 'ε*', 'ε', -1, '-ε*', '-ε']]
+    ]
+  },
+  'C₆h': {
+    epsilon: 6,
+    classes: [
+      ['E', 'E'], ['C_6', 'C6z'], ['C_3', 'C3z'], ['C_2', 'C2z'], ['C_3^2', 'C3z^2'], ['C_6^5', 'C6z^5'],
+      ['i', 'i'], ['S_3^5', 'iC6z'], ['S_6^5', 'iC3z'], ['σ_h', 'σz'], ['S_6', 'iC3z^2'], ['S_3', 'iC6z^5']
+    ],
+    irreps: [
+      ['A_g', [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1], 'Rz', 'x²+y², z²'],
+      ['B_g', [1, -1, 1, -1, 1, -1, 1, -1, 1, -1, 1, -1], '', ''],
+      ['E_1g', [1, 'ε', '-ε*', -1, '-ε', 'ε*', 1, 'ε', '-ε*', -1, '-ε', 'ε*'], '(Rx, Ry)', '(xz, yz)'],
+      ['E_1g', [1, 'ε*', '-ε', -1, '-ε*', 'ε', 1, 'ε*', '-ε', -1, '-ε*', 'ε']],
+      ['E_2g', [1, '-ε*', '-ε', 1, '-ε*', '-ε', 1, '-ε*', '-ε', 1, '-ε*', '-ε'], '', '(x²−y², xy)'],
+      ['E_2g', [1, '-ε', '-ε*', 1, '-ε', '-ε*', 1, '-ε', '-ε*', 1, '-ε', '-ε*']],
+      ['A_u', [1, 1, 1, 1, 1, 1, -1, -1, -1, -1, -1, -1], 'z', ''],
+      ['B_u', [1, -1, 1, -1, 1, -1, -1, 1, -1, 1, -1, 1], '', ''],
+      ['E_1u', [1, 'ε', '-ε*', -1, '-ε', 'ε*', -1, '-ε', 'ε*', 1, 'ε', '-ε*'], '(x, y)', ''],
+      ['E_1u', [1, 'ε*', '-ε', -1, '-ε*', 'ε', -1, '-ε*', 'ε', 1, 'ε*', '-ε']],
+      ['E_2u', [1, '-ε*', '-ε', 1, '-ε*', '-ε', -1, 'ε*', 'ε', -1, 'ε*', 'ε'], '', ''],
+      ['E_2u', [1, '-ε', '-ε*', 1, '-ε', '-ε*', -1, 'ε', 'ε*', -1, 'ε', 'ε*']]
+    ]
+  },
+  'D₆': {
+    classes: [
+      ['E', 'E'], ['2C_6', 'C6z'], ['2C_3', 'C3z'], ['C_2', 'C2z'], ["3C_2'", 'C2x'], ["3C_2''", 'C2y']
+    ],
+    irreps: [
+      ['A_1', [1, 1, 1, 1, 1, 1], '', 'x²+y², z²'],
+      ['A_2', [1, 1, 1, 1, -1, -1], 'z, Rz', ''],
+      ['B_1', [1, -1, 1, -1, 1, -1], '', ''],
+      ['B_2', [1, -1, 1, -1, -1, 1], '', ''],
+      ['E_1', [2, 1, -1, -2, 0, 0], '(x, y), (Rx, Ry)', '(xz, yz)'],
+      ['E_2', [2, -1, -1, 2, 0, 0], '', '(x²−y², xy)']
+    ]
+  },
+  'C₆v': {
+    classes: [['E', 'E'], ['2C_6', 'C6z'], ['2C_3', 'C3z'], ['C_2', 'C2z'], ['3σ_v', 'σy'], ['3σ_d', 'σx']],
+    irreps: [
+      ['A_1', [1, 1, 1, 1, 1, 1], 'z', 'x²+y², z²'],
+      ['A_2', [1, 1, 1, 1, -1, -1], 'Rz', ''],
+      ['B_1', [1, -1, 1, -1, 1, -1], '', ''],
+      ['B_2', [1, -1, 1, -1, -1, 1], '', ''],
+      ['E_1', [2, 1, -1, -2, 0, 0], '(x, y), (Rx, Ry)', '(xz, yz)'],
+      ['E_2', [2, -1, -1, 2, 0, 0], '', '(x²−y², xy)']
+    ]
+  },
+  'D₃h': {
+    classes: [['E', 'E'], ['2C_3', 'C3z'], ["3C_2'", 'C2x'], ['σ_h', 'σz'], ['2S_3', 'iC6z'], ['3σ_v', 'σy']],
+    irreps: [
+      ["A_1'", [1, 1, 1, 1, 1, 1], '', 'x²+y², z²'],
+      ["A_2'", [1, 1, -1, 1, 1, -1], 'Rz', ''],
+      ["E'", [2, -1, 0, 2, -1, 0], '(x, y)', '(x²−y², xy)'],
+      ["A_1''", [1, 1, 1, -1, -1, -1], '', ''],
+      ["A_2''", [1, 1, -1, -1, -1, 1], 'z', ''],
+      ["E''", [2, -1, 0, -2, 1, 0], '(Rx, Ry)', '(xz, yz)']
+    ]
+  },
+  'D₆h': {
+    classes: [
+      ['E', 'E'], ['2C_6', 'C6z'], ['2C_3', 'C3z'], ['C_2', 'C2z'], ["3C_2'", 'C2x'], ["3C_2''", 'C2y'],
+      ['i', 'i'], ['2S_3', 'iC6z'], ['2S_6', 'iC3z'], ['σ_h', 'σz'], ['3σ_d', 'σx'], ['3σ_v', 'σy']
+    ],
+    irreps: [
+      ['A_1g', [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1], '', 'x²+y², z²'],
+      ['A_2g', [1, 1, 1, 1, -1, -1, 1, 1, 1, 1, -1, -1], 'Rz', ''],
+      ['B_1g', [1, -1, 1, -1, 1, -1, 1, -1, 1, -1, 1, -1], '', ''],
+      ['B_2g', [1, -1, 1, -1, -1, 1, 1, -1, 1, -1, -1, 1], '', ''],
+      ['E_1g', [2, 1, -1, -2, 0, 0, 2, 1, -1, -2, 0, 0], '(Rx, Ry)', '(xz, yz)'],
+      ['E_2g', [2, -1, -1, 2, 0, 0, 2, -1, -1, 2, 0, 0], '', '(x²−y², xy)'],
+      ['A_1u', [1, 1, 1, 1, 1, 1, -1, -1, -1, -1, -1, -1], '', ''],
+      ['A_2u', [1, 1, 1, 1, -1, -1, -1, -1, -1, -1, 1, 1], 'z', ''],
+      ['B_1u', [1, -1, 1, -1, 1, -1, -1, 1, -1, 1, -1, 1], '', ''],
+      ['B_2u', [1, -1, 1, -1, -1, 1, -1, 1, -1, 1, 1, -1], '', ''],
+      ['E_1u', [2, 1, -1, -2, 0, 0, -2, -1, 1, 2, 0, 0], '(x, y)', ''],
+      ['E_2u', [2, -1, -1, 2, 0, 0, -2, 1, 1, -2, 0, 0], '', '']
+    ]
+  },
+  'T': {
+    epsilon: 3,
+    classes: [['E', 'E'], ['4C_3', 'C3[1,1,1]'], ['4C_3^2', 'C3[1,1,1]^2'], ['3C_2', 'C2z']],
+    irreps: [
+      ['A', [1, 1, 1, 1], '', 'x²+y²+z²'],
+      ['E', [1, 'ε', 'ε*', 1], '', '(2z²−x²−y², x²−y²)'],
+      ['E', [1, 'ε*', 'ε', 1]],
+      ['T', [3, 0, 0, -1], '(Rx, Ry, Rz), (x, y, z)', '(xy, xz, yz)']
+    ]
+  },
+  'Th': {
+    epsilon: 3,
+    classes: [
+      ['E', 'E'], ['4C_3', 'C3[1,1,1]'], ['4C_3^2', 'C3[1,1,1]^2'], ['3C_2', 'C2z'],
+      ['i', 'i'], ['4S_6^5', 'iC3[1,1,1]'], ['4S_6', 'iC3[1,1,1]^2'], ['3σ_h', 'σz']
+    ],
+    irreps: [
+      ['A_g', [1, 1, 1, 1, 1, 1, 1, 1], '', 'x²+y²+z²'],
+      ['E_g', [1, 'ε', 'ε*', 1, 1, 'ε', 'ε*', 1], '', '(2z²−x²−y², x²−y²)'],
+      ['E_g', [1, 'ε*', 'ε', 1, 1, 'ε*', 'ε', 1]],
+      ['T_g', [3, 0, 0, -1, 3, 0, 0, -1], '(Rx, Ry, Rz)', '(xz, yz, xy)'],
+      ['A_u', [1, 1, 1, 1, -1, -1, -1, -1], '', ''],
+      ['E_u', [1, 'ε', 'ε*', 1, -1, '-ε', '-ε*', -1], '', ''],
+      ['E_u', [1, 'ε*', 'ε', 1, -1, '-ε*', '-ε', -1]],
+      ['T_u', [3, 0, 0, -1, -3, 0, 0, 1], '(x, y, z)', '']
+    ]
+  },
+  'O': {
+    classes: [['E', 'E'], ['8C_3', 'C3[1,1,1]'], ['3C_2', 'C2z'], ['6C_4', 'C4z'], ["6C_2'", 'C2[1,1,0]']],
+    irreps: [
+      ['A_1', [1, 1, 1, 1, 1], '', 'x²+y²+z²'],
+      ['A_2', [1, 1, 1, -1, -1], '', ''],
+      ['E', [2, -1, 2, 0, 0], '', '(2z²−x²−y², x²−y²)'],
+      ['T_1', [3, 0, -1, 1, -1], '(Rx, Ry, Rz), (x, y, z)', ''],
+      ['T_2', [3, 0, -1, -1, 1], '', '(xy, xz, yz)']
+    ]
+  },
+  'Td': {
+    classes: [['E', 'E'], ['8C_3', 'C3[1,1,1]'], ['3C_2', 'C2z'], ['6S_4', 'iC4z'], ['6σ_d', 'σ[1,1,0]']],
+    irreps: [
+      ['A_1', [1, 1, 1, 1, 1], '', 'x²+y²+z²'],
+      ['A_2', [1, 1, 1, -1, -1], '', ''],
+      ['E', [2, -1, 2, 0, 0], '', '(2z²−x²−y², x²−y²)'],
+      ['T_1', [3, 0, -1, 1, -1], '(Rx, Ry, Rz)', ''],
+      ['T_2', [3, 0, -1, -1, 1], '(x, y, z)', '(xy, xz, yz)']
+    ]
+  },
+  'Oh': {
+    classes: [
+      ['E', 'E'], ['8C_3', 'C3[1,1,1]'], ['6C_2', 'C2[1,1,0]'], ['6C_4', 'C4z'], ['3C_2', 'C2z'],
+      ['i', 'i'], ['6S_4', 'iC4z'], ['8S_6', 'iC3[1,1,1]'], ['3σ_h', 'σz'], ['6σ_d', 'σ[1,1,0]']
+    ],
+    irreps: [
+      ['A_1g', [1, 1, 1, 1, 1, 1, 1, 1, 1, 1], '', 'x²+y²+z²'],
+      ['A_2g', [1, 1, -1, -1, 1, 1, -1, 1, 1, -1], '', ''],
+      ['E_g', [2, -1, 0, 0, 2, 2, 0, -1, 2, 0], '', '(2z²−x²−y², x²−y²)'],
+      ['T_1g', [3, 0, -1, 1, -1, 3, 1, 0, -1, -1], '(Rx, Ry, Rz)', ''],
+      ['T_2g', [3, 0, 1, -1, -1, 3, -1, 0, -1, 1], '', '(xz, yz, xy)'],
+      ['A_1u', [1, 1, 1, 1, 1, -1, -1, -1, -1, -1], '', ''],
+      ['A_2u', [1, 1, -1, -1, 1, -1, 1, -1, -1, 1], '', ''],
+      ['E_u', [2, -1, 0, 0, 2, -2, 0, 1, -2, 0], '', ''],
+      ['T_1u', [3, 0, -1, 1, -1, -3, -1, 0, 1, 1], '(x, y, z)', ''],
+      ['T_2u', [3, 0, 1, -1, -1, -3, 1, 0, 1, -1], '', '']
+    ]
+  }
+};
+
+const DIRECTIONS = { x: [1, 0, 0], y: [0, 1, 0], z: [0, 0, 1] };
+
+function parseDirection(text) {
+  return DIRECTIONS[text] || normalize(JSON.parse(text));
+}
+
+// Matrix of a class representative such as 'C4z^3', 'iC3[1,1,1]' or 'σx'
+function representativeMatrix(rep) {
+  if (rep === 'E') return IDENTITY;
+  if (rep === 'i') return INVERSION;
+  const mirror = rep.match(/^σ(x|y|z|\[[-\d,]+\])$/);
+  if (mirror) return mirrorMatrix(parseDirection(mirror[1]));
+  const rotation = rep.match(/^(i?)C(\d)(x|y|z|\[[-\d,]+\])(?:\^(\d))?$/);
+  if (!rotation) throw new Error(`Unknown class representative ${rep}`);
+  const [, inverted, order, direction, power = '1'] = rotation;
+  const m = rotationMatrix(parseDirection(direction), (2 * Math.PI * Number(power)) / Number(order));
+  return inverted ? scale(m, -1) : m;
+}
+
+// The tables use the standard setting. A group drawn in another setting
+// (unique axis b, -4m2 rather than -42m, 31m rather than 3m1 …) is turned
+// from it by one of the 24 rotations of a cube, possibly after a 45° turn
+// about z. `axes` names the crystal axis each table axis lands on; it is
+// null after a 45° turn, when x and y don't map onto axes.
+const AXES = ['x', 'y', 'z'];
+const TURN_45 = rotationMatrix([0, 0, 1], Math.PI / 4);
+
+const SETTINGS = [
+  ...AXIS_ROTATIONS.map(matrix => ({
+    matrix,
+    axes: Object.fromEntries(AXES.map((a, j) => [a, AXES[matrix.findIndex(row => row[j] !== 0)]]))
+  })),
+  ...AXIS_ROTATIONS.map(matrix => ({ matrix: multiply(matrix, TURN_45), axes: null }))
+];
+
+const byName = (a, b) => (a < b ? -1 : 1);
+
+// Rename the axes in basis functions, then put letters, terms and tuples
+// back in alphabetical order ('y²+x²' → 'x²+y²', '(y, x)' → '(x, y)')
+function relabelText(text, axes) {
+  if (!axes) return text;
+  return text
+    .replace(/[xyz]/g, a => axes[a])
+    .replace(/\b[xyz]{2}\b/g, pair => [...pair].sort().join(''))
+    .replace(/[xyz]²(\+[xyz]²)+/g, sum => sum.split('+').sort(byName).join('+'))
+    .replace(/(2[xyz]²)−([xyz]²)−([xyz]²)/g, (_, a, b, c) => `${a}−${[b, c].sort(byName).join('−')}`)
+    .replace(/(?<![\d²−])([xyz]²)−([xyz]²)(?!−)/g, (_, a, b) => [a, b].sort(byName).join('−'))
+    .replace(/\(([^()]+)\)/g, (match, tuple) => {
+      const parts = tuple.split(', ');
+      if (parts.some(f => f.length !== parts[0].length)) return match;
+      return `(${parts.sort(byName).join(', ')})`;
+    });
+}
+
+// Conjugacy classes of `elements` holding each representative, in the
+// first setting that places every representative in the group
+function resolveClasses(data, elements) {
+  const conjugacy = conjugacyClasses(elements);
+  const representatives = data.classes.map(([, rep]) => representativeMatrix(rep));
+  for (const setting of SETTINGS) {
+    const p = setting.matrix;
+    const classes = representatives.map(m => {
+      const turned = multiply(multiply(p, m), transpose(p));
+      return conjugacy.find(c => c.some(i => matricesEqual(elements[i].matrix, turned)));
+    });
+    if (classes.every(Boolean)) {
+      return { classes, axes: setting.axes, frame: [0, 1, 2].map(j => p.map(row => row[j])) };
+    }
+  }
+  return null;
+}
+
+// Numeric value of a character: a number, or 'ε', '-ε*', 'i', '-i' …
+// Returned as [re, im].
+export function characterValue(c, epsilon = 1) {
+  if (typeof c === 'number') return [c, 0];
+  const match = c.match(/^(-?)(ε|i)(\*?)$/);
+  const sign = match[1] ? -1 : 1;
+  const angle = match[2] === 'i' ? Math.PI / 2 : (2 * Math.PI) / epsilon;
+  const im = Math.sin(angle) * (match[3] ? -1 : 1);
+  return [sign * Math.cos(angle), sign * im];
+}
+
+// Character table of a point group, with every class resolved to its
+// operations in the group as drawn. Returns null if the group has no table.
+export function characterTable(group) {
+  const data = characterTables[group.schoenflies];
+  if (!data) return null;
+
+  const elements = groupElements(group);
+  const resolved = resolveClasses(data, elements);
+  if (!resolved) throw new Error(`${group.schoenflies}: the table's classes are not in this group`);
+  const classes = data.classes.map(([label], k) => ({
+    label: relabelText(label, resolved.axes),
+    operations: resolved.classes[k].map(i => elements[i])
+  }));
+
+  const irreps = [];
+  data.irreps.forEach(([label, characters, linear, quadratic]) => {
+    const row = {
+      label,
+      characters,
+      values: characters.map(c => characterValue(c, data.epsilon)),
+      linear: relabelText(linear || '', resolved.axes),
+      quadratic: relabelText(quadratic || '', resolved.axes)
+    };
+    const previous = irreps[irreps.length - 1];
+    if (previous && previous.label === label) {
+      // Second row of a complex-conjugate pair
+      previous.rows.push(row);
+    } else {
+      irreps.push({ label, linear: row.linear, quadratic: row.quadratic, rows: [row] });
+    }
+  });
+
+  // Where the table's x, y and z point when they aren't crystal axes
+  const basisFrame = resolved.axes ? null : resolved.frame;
+  return { classes, irreps, epsilon: data.epsilon || null, basisFrame };
+}
@@ -0,0 +1,224 @@
+// Reading crystal structures from CIF files: the cell, the symmetry
+// operators and the atom sites of the first data block
+
+import {
+  closeGroup,
+  classifyMatrix,
+  identifyPointGroup,
+  standardOrientation,
+  matricesEqual,
+  multiply,
+  transform,
+  invert
+} from './symmetry.js';
+import { elementSymbol } from './molecules.js';
+import { cellMatrix } from './lattice.js';
+
+const RESERVED = /^(loop_|data_|save_|global_|stop_)/i;
+
+// Tokens of a CIF file: bare words, quoted strings and ;-delimited text
+// fields, without comments. Quoted values are never tags or keywords.
+function tokenize(text) {
+  const tokens = [];
+  const lines = text.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    if (lines[i].startsWith(';')) {
+      const field = [lines[i].slice(1)];
+      while (i + 1 < lines.length && !lines[i + 1].startsWith(';')) field.push(lines[++i]);
+      i++;
+      tokens.push({ value: field.join('\n').trim(), quoted: true });
+      continue;
+    }
+    const pattern = /'(.*?)'(?=\s|$)|"(.*?)"(?=\s|$)|(#.*)|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(lines[i]))) {
+      if (match[3] !== undefined) break;
+      if (match[4] !== undefined) tokens.push({ value: match[4], quoted: false });
+      else tokens.push({ value: match[1] ?? match[2], quoted: true });
+    }
+  }
+  return tokens;
+}
+
+// '5.4310(2)' → 5.431; '?' and '.' (unknown, inapplicable) → NaN
+function cifNumber(value) {
+  if (value === undefined || value === '?' || value === '.') return NaN;
+  return Number(value.replace(/\(\d+\)$/, ''));
+}
+
+// One symmetry operator such as '-y, x-y, z+1/3' or '1/2+x,-y,0.5-z':
+// its rotation part (fractional) and translation
+export function parseSymop(text) {
+  const parts = text.toLowerCase().replace(/\s+/g, '').split(',');
+  if (parts.length !== 3) throw new Error(`"${text}" is not a symmetry operator like x,-y,z+1/2`);
+  const rotation = [];
+  const translation = [];
+  for (const part of parts) {
+    const row = [0, 0, 0];
+    let shift = 0;
+    const terms = part.match(/[+-]?[^+-]+/g) || [];
+    if (terms.join('') !== part) throw new Error(`"${text}" is not a symmetry operator like x,-y,z+1/2`);
+    for (const term of terms) {
+      const match = term.match(/^([+-]?)(\d*\.?\d+(?:\/\d+)?)?\*?([xyz])?$/);
+      if (!match || (!match[2] && !match[3])) {
+        throw new Error(`Could not read "${term}" in the symmetry operator "${text}"`);
+      }
+      const [, sign, number, variable] = match;
+      let value = 1;
+      if (number) {
+        const [p, q] = number.split('/');
+        value = Number(p) / (q ? Number(q) : 1);
+      }
+      if (sign === '-') value = -value;
+      if (variable) row['xyz'.indexOf(variable)] += value;
+      else shift += value;
+    }
+    rotation.push(row);
+    translation.push(shift);
+  }
+  return { rotation, translation };
+}
+
+// Parse the first data block of a CIF. Returns its `name`, the space group
+// symbol if given, the `cell` (a, b, c in Å, alpha, beta, gamma in
+// degrees), the symmetry operators and the atom `sites` with fractional
+// coordinates. Throws an Error with a readable message if it can't.
+export function parseCif(text) {
+  const tokens = tokenize(text);
+  const items = {};
+  const loops = [];
+  let name = null;
+
+  for (let i = 0; i < tokens.length;) {
+    const { value, quoted } = tokens[i];
+    if (!quoted && /^data_/i.test(value)) {
+      if (name !== null) break;
+      name = value.slice(5);
+      i++;
+    } else if (!quoted && /^loop_$/i.test(value)) {
+      i++;
+      const tags = [];
+      while (i < tokens.length && !tokens[i].quoted && tokens[i].value.startsWith('_')) {
+        tags.push(tokens[i++].value.toLowerCase());
+      }
+      const values = [];
+      while (i < tokens.length && (tokens[i].quoted || !(tokens[i].value.startsWith('_') || RESERVED.test(tokens[i].value)))) {
+        values.push(tokens[i++].value);
+      }
+      const rows = [];
+      for (let k = 0; k + tags.length <= values.length; k += tags.length) {
+        rows.push(Object.fromEntries(tags.map((tag, j) => [tag, values[k + j]])));
+      }
+      loops.push({ tags, rows });
+    } else if (!quoted && value.startsWith('_')) {
+      items[value.toLowerCase()] = tokens[i + 1]?.value;
+      i += 2;
+    } else {
+      i++;
+    }
+  }
+  if (name === null) throw new Error('No data_ block found; is this a CIF file?');
+
+  const cell = {};
+  for (const [key, tag] of [
+    ['a', '_cell_length_a'], ['b', '_cell_length_b'], ['c', '_cell_length_c'],
+    ['alpha', '_cell_angle_alpha'], ['beta', '_cell_angle_beta'], ['gamma', '_cell_angle_gamma']
+  ]) {
+    cell[key] = cifNumber(items[tag]);
+    if (!Number.isFinite(cell[key])) throw new Error(`The CIF has no ${tag}`);
+  }
+
+  // Symmetry operators, in a loop or as a single item; none means P1
+  const symopTags = ['_space_group_symop_operation_xyz', '_symmetry_equiv_pos_as_xyz'];
+  const symopLoop = loops.find(l => symopTags.some(t => l.tags.includes(t)));
+  let symopTexts = ['x,y,z'];
+  if (symopLoop) {
+    const tag = symopTags.find(t => symopLoop.tags.includes(t));
+    symopTexts = symopLoop.rows.map(row => row[tag]);
+  } else if (symopTags.some(t => items[t])) {
+    symopTexts = [items[symopTags.find(t => items[t])]];
+  }
+  const symops = symopTexts.map(parseSymop);
+
+  const siteLoop = loops.find(l => l.tags.includes('_atom_site_fract_x'));
+  const sites = siteLoop ? siteLoop.rows.map(row => {
+    const label = row._atom_site_label || row._atom_site_type_symbol || '?';
+    const type = row._atom_site_type_symbol;
+    return {
+      label,
+      element: elementSymbol(type && type !== '?' ? type : label),
+      fract: ['x', 'y', 'z'].map(c => cifNumber(row[`_atom_site_fract_${c}`]))
+    };
+  }).filter(site => site.fract.every(Number.isFinite)) : [];
+
+  const spaceGroup = items['_space_group_name_h-m_alt'] || items['_symmetry_space_group_name_h-m'] || null;
+  return { name, spaceGroup, cell, symops, sites };
+}
+
+// Crystal class of a structure: the point group formed by the rotation
+// parts of its operators (centring and screw translations drop out), and
+// the rotation that turns the Cartesian cell into that group's standard
+// orientation
+export function crystalClass(structure, groups) {
+  const rotations = [];
+  for (const { rotation } of structure.symops) {
+    if (!rotations.some(r => matricesEqual(r, rotation))) rotations.push(rotation);
+  }
+  let fractional;
+  try {
+    fractional = closeGroup(rotations);
+  } catch {
+    throw new Error('The symmetry operators do not form a space group');
+  }
+  const group = identifyPointGroup(fractional.map(m => classifyMatrix(m)), groups);
+  if (!group) throw new Error('The symmetry operators do not form a crystallographic point group');
+
+  // Cartesian matrices A·W·A⁻¹; they are only orthogonal if the cell fits
+  // the operators
+  const cart = cellMatrix(structure.cell);
+  const cartInverse = invert(cart);
+  const cartesian = fractional.map(w => classifyMatrix(multiply(multiply(cart, w), cartInverse)));
+  const orientation = standardOrientation(cartesian, group, 1e-3);
+  if (!orientation) {
+    throw new Error(`The cell parameters don't have the ${group.id} symmetry of the operators`);
+  }
+  return { group, orientation };
+}
+
+// Fractional position wrapped into [0, 1)
+function wrap(f) {
+  return f.map(x => {
+    const w = x - Math.floor(x);
+    return w > 1 - 1e-4 ? 0 : w;
+  });
+}
+
+// Every atom in one unit cell: each site with all its symmetry copies,
+// plus the periodic copies on the faces, edges and corners of the cell
+export function unitCellAtoms(structure) {
+  const atoms = [];
+  const add = (element, label, fract) => {
+    const taken = atoms.some(a => a.fract.every((x, k) => Math.abs(x - fract[k]) < 1e-3));
+    if (!taken) atoms.push({ element, label, fract });
+  };
+  for (const site of structure.sites) {
+    for (const { rotation, translation } of structure.symops) {
+      const moved = transform(rotation, site.fract).map((x, k) => x + translation[k]);
+      const f = wrap(moved);
+      // Coordinates of 0 are repeated at 1
+      const options = f.map(x => (x < 1e-4 ? [x, 1] : [x]));
+      for (const x of options[0]) {
+        for (const y of options[1]) {
+          for (const z of options[2]) add(site.element, site.label, [x, y, z]);
+        }
+      }
+    }
+  }
+  return atoms;
+}
+
+// Corners of the unit cell in fractional coordinates, and its 12 edges
+export const CELL_CORNERS = [0, 1, 2, 3, 4, 5, 6, 7].map(k => [k & 1, (k >> 1) & 1, (k >> 2) & 1]);
+export const CELL_EDGES = CELL_CORNERS.flatMap((c, i) =>
+  [1, 2, 4].filter(bit => !(i & bit)).map(bit => [i, i | bit])
+);
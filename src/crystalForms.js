@@ -0,0 +1,192 @@
+// Crystal forms: every face equivalent to (hkl) under a point group, and
+// the traditional name of the resulting form.
+
+import { transform, dot, matricesEqual } from './symmetry.js';
+import { intersectHalfSpaces, solidSymmetry } from './polyhedron.js';
+import { planeNormal, standardCell } from './lattice.js';
+
+const EPS = 1e-6;
+
+// Parse Miller indices typed as "1 0 0", "1,-1,0", "1-10" or, for the
+// hexagonal axes, the four-index Miller–Bravais form "10-10" / "1 0 -1 0".
+export function parseMillerIndices(text) {
+  const trimmed = text.replace(/[(){}[\]]/g, '').trim();
+  let tokens;
+  if (/[\s,]/.test(trimmed)) {
+    tokens = trimmed.split(/[\s,]+/).filter(Boolean);
+  } else {
+    tokens = trimmed.match(/-?\d/g) || [];
+  }
+  const values = tokens.map(Number);
+  if (values.length === 0 || values.some(v => !Number.isInteger(v))) {
+    throw new Error('Enter three integers, e.g. 1 1 0 or 1-10');
+  }
+  if (values.length !== 3 && values.length !== 4) {
+    throw new Error('Enter three indices (hkl), or four (hkil) for hexagonal axes');
+  }
+  if (values.every(v => v === 0)) {
+    throw new Error('(000) is not a plane');
+  }
+  if (values.length === 4) {
+    const [h, k, i, l] = values;
+    if (i !== -(h + k)) {
+      throw new Error('In (hkil) the third index must equal −(h + k)');
+    }
+    return [h, k, l];
+  }
+  return values;
+}
+
+// Distinct face normals produced by applying every element to `normal`
+export function formNormals(normal, elements) {
+  const faces = [];
+  for (const el of elements) {
+    const n = transform(el.matrix, normal);
+    if (!faces.some(f => dot(f, n) > 1 - EPS)) faces.push(n);
+  }
+  return faces;
+}
+
+function azimuthsRegular(normals) {
+  const angles = normals.map(n => Math.atan2(n[1], n[0])).sort((a, b) => a - b);
+  const step = (2 * Math.PI) / angles.length;
+  return angles.every((a, i) => {
+    const next = i + 1 < angles.length ? angles[i + 1] : angles[0] + 2 * Math.PI;
+    return Math.abs(next - a - step) < 1e-4;
+  });
+}
+
+// Name of a ring of faces around the principal (z) axis
+function ringName(normals, system) {
+  const count = normals.length;
+  if (count === 2 || (count === 4 && (system === 'Orthorhombic' || system === 'Monoclinic'))) {
+    return 'rhombic';
+  }
+  if (count === 3) return 'trigonal';
+  if (count === 4) return 'tetragonal';
+  if (count === 6) return azimuthsRegular(normals) ? 'hexagonal' : 'ditrigonal';
+  if (count === 8) return 'ditetragonal';
+  if (count === 12) return 'dihexagonal';
+  return `${count}-sided`;
+}
+
+function cubicFormName(normal, count, elements) {
+  const [a, b, c] = normal.map(Math.abs).sort((x, y) => y - x);
+  const same = (x, y) => Math.abs(x - y) < EPS;
+  const zero = x => x < EPS;
+  const hasInversion = elements.some(el => el.type === 'inversion');
+  const hasMirror = elements.some(el => el.type === 'mirror');
+
+  if (zero(b)) return 'cube';
+  if (same(a, b) && same(b, c)) return count === 8 ? 'octahedron' : 'tetrahedron';
+  if (same(a, b) && zero(c)) return 'rhombic dodecahedron';
+  if (zero(c)) return count === 24 ? 'tetrahexahedron' : 'pyritohedron';
+  if (same(a, b)) return count === 24 ? 'trisoctahedron' : 'deltoid dodecahedron';
+  if (same(b, c)) return count === 24 ? 'trapezohedron' : 'tristetrahedron';
+  if (count === 48) return 'hexoctahedron';
+  if (count === 12) return 'tetartoid';
+  if (hasInversion) return 'diploid';
+  return hasMirror ? 'hextetrahedron' : 'gyroid';
+}
+
+function twoFaceName(normals, elements) {
+  const [a, b] = normals;
+  if (dot(a, b) < -1 + EPS) return 'pinacoid';
+  const mirrored = elements.some(el =>
+    el.type === 'mirror' && dot(transform(el.matrix, a), b) > 1 - EPS
+  );
+  return mirrored ? 'dome' : 'sphenoid';
+}
+
+// Traditional name of the form made of `normals` in a group
+export function formName(normals, elements, system) {
+  const count = normals.length;
+  if (count === 1) return 'pedion';
+  if (count === 2) return twoFaceName(normals, elements);
+  if (system === 'Cubic') return cubicFormName(normals[0], count, elements);
+
+  const hasImproper = elements.some(el => el.det < 0);
+
+  if (system === 'Monoclinic') return 'prism';
+  if (system === 'Orthorhombic') {
+    const axes = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+    if (axes.some(ax => normals.every(n => Math.abs(dot(n, ax)) < EPS))) return 'rhombic prism';
+    if (elements.some(el => el.type === 'inversion')) return 'rhombic dipyramid';
+    return hasImproper ? 'rhombic pyramid' : 'rhombic disphenoid';
+  }
+
+  // Tetragonal, trigonal and hexagonal: classify against the c axis
+  if (normals.every(n => Math.abs(n[2]) < EPS)) {
+    return `${ringName(normals, system)} prism`;
+  }
+  const upper = normals.filter(n => n[2] > EPS);
+  const lower = normals.filter(n => n[2] < -EPS);
+  if (lower.length === 0) return `${ringName(upper, system)} pyramid`;
+  if (upper.length === 0) return `${ringName(lower, system)} pyramid`;
+
+  const mirroredAcrossPlane = upper.every(n =>
+    lower.some(m => dot(m, [n[0], n[1], -n[2]]) > 1 - EPS)
+  );
+  if (mirroredAcrossPlane) return `${ringName(upper, system)} dipyramid`;
+
+  switch (upper.length) {
+    case 2:
+      return 'tetragonal disphenoid';
+    case 3:
+      return hasImproper ? 'rhombohedron' : 'trigonal trapezohedron';
+    case 4:
+      return hasImproper ? 'tetragonal scalenohedron' : 'tetragonal trapezohedron';
+    case 6:
+      return hasImproper ? 'ditrigonal scalenohedron' : 'hexagonal trapezohedron';
+    default:
+      return `${count}-faced form`;
+  }
+}
+
+// Full description of the form {hkl} in a group, on the given cell (the
+// system's standard cell by default)
+export function crystalForm(hkl, elements, system, cell = standardCell(system)) {
+  const normals = formNormals(planeNormal(hkl, cell), elements);
+  return {
+    hkl,
+    normals,
+    multiplicity: normals.length,
+    name: formName(normals, elements, system),
+    closed: !intersectHalfSpaces(normals.map(n => ({ normal: n, distance: 1 }))).open
+  };
+}
+
+// Crystal bounded by several forms, each { hkl, distance } with its own
+// central distance. Returns the described forms (with whether any of their
+// faces reach the surface), the polyhedron and whether it is still open.
+export function combineForms(forms, elements, system, cell = standardCell(system)) {
+  const described = forms.map(f => crystalForm(f.hkl, elements, system, cell));
+  const planes = described.flatMap((form, i) =>
+    form.normals.map(normal => ({ normal, distance: forms[i].distance, form: i }))
+  );
+  let solid = intersectHalfSpaces(planes);
+  const open = solid.open;
+  if (open) {
+    // Box open forms in close to the crystal so they can still be drawn
+    solid = intersectHalfSpaces(planes, 2);
+  }
+  return {
+    forms: described.map((form, i) => ({
+      ...form,
+      visible: planes.some((p, k) => p.form === i && solid.planeFaces[k])
+    })),
+    solid,
+    open
+  };
+}
+
+// Symmetry of a closed crystal from combineForms, and whether it is
+// exactly the group it was built for. Open crystals have no finite shape
+// to check.
+export function crystalSymmetry(crystal, elements) {
+  if (crystal.open) return { operations: [], exact: false };
+  const operations = solidSymmetry(crystal.solid.facePlanes);
+  const exact = operations.length === elements.length &&
+    elements.every(el => operations.some(m => matricesEqual(m, el.matrix, 1e-4)));
+  return { operations, exact };
+}
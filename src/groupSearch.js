@@ -0,0 +1,93 @@
+// Searching the point groups by symbol, mineral and symmetry properties
+
+import {
+  INVERSION,
+  closeGroup,
+  classifyMatrix,
+  groupElements,
+  identifyPointGroup
+} from './symmetry.js';
+
+// Operations a group can be asked to contain, as written in symbols
+export const ELEMENT_KINDS = ['2', '3', '4', '6', '-1', 'm', '-3', '-4', '-6'];
+
+export const PROPERTY_FILTERS = [
+  { key: 'centrosymmetric', label: 'centrosymmetric' },
+  { key: 'polar', label: 'polar' },
+  { key: 'chiral', label: 'chiral' }
+];
+
+function elementKind(el) {
+  if (el.type === 'rotation') return String(el.order);
+  if (el.type === 'rotoinversion') return `-${el.order}`;
+  if (el.type === 'mirror') return 'm';
+  if (el.type === 'inversion') return '-1';
+  return null;
+}
+
+// D₄h → d4h, so that Schoenflies symbols can be typed
+function plain(text) {
+  return text
+    .replace(/[₀-₉]/g, c => String(c.charCodeAt(0) - 0x2080))
+    .toLowerCase();
+}
+
+const factCache = new WeakMap();
+
+// What the search looks at for one group. The Laue class is the group
+// with the inversion centre added; a polar group leaves some direction
+// unmoved by every operation, so the operations average to a non-zero map.
+export function groupFacts(group, groups) {
+  if (factCache.has(group)) return factCache.get(group);
+  const elements = groupElements(group);
+  const laueElements = closeGroup([...elements.map(el => el.matrix), INVERSION]).map(m => classifyMatrix(m));
+  const average = elements.reduce(
+    (sum, el) => sum.map((row, i) => row.map((x, j) => x + el.matrix[i][j] / elements.length)),
+    [[0, 0, 0], [0, 0, 0], [0, 0, 0]]
+  );
+  const facts = {
+    order: elements.length,
+    laue: identifyPointGroup(laueElements, groups)?.id ?? '',
+    centrosymmetric: elements.some(el => el.type === 'inversion'),
+    polar: average.some(row => row.some(x => Math.abs(x) > 1e-6)),
+    chiral: elements.every(el => el.det > 0),
+    kinds: new Set(elements.map(elementKind).filter(Boolean))
+  };
+  factCache.set(group, facts);
+  return facts;
+}
+
+// Mineral names without formula digits, so that 'CuSO₄·5H₂O' does not
+// answer a search for 4
+function mineralText(example) {
+  return example.replace(/[0-9₀-₉]/g, '').toLowerCase();
+}
+
+// Whether `word` starts a word of `text`
+function startsWord(text, word) {
+  const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\p{L}])${escaped}`, 'u').test(text);
+}
+
+// Every word of `query` has to match. Symbols match whole, a number
+// matches the group order, the crystal system matches as a whole word and
+// a mineral by the start of a word of its name; `order:8` and `laue:4/mmm`
+// look at one field only. `properties` maps a property key to true or
+// false for required or excluded, and every kind in `kinds` has to be
+// present.
+export function matchesSearch(group, facts, { query, properties, kinds }) {
+  const words = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const wordsMatch = words.every(word => {
+    const [field, value] = word.includes(':') ? word.split(':') : [null, word];
+    if (field === 'order') return facts.order === Number(value);
+    if (field === 'laue') return facts.laue === value;
+    if (/^\d+$/.test(word) && facts.order === Number(word)) return true;
+    const text = plain(word);
+    if (text === plain(group.id) || text === plain(group.schoenflies)) return true;
+    if (text === group.system.toLowerCase()) return true;
+    return /\p{L}/u.test(text) && !/\d/.test(text) && startsWord(mineralText(group.example), text);
+  });
+  return wordsMatch
+    && Object.entries(properties).every(([key, wanted]) => facts[key] === wanted)
+    && kinds.every(kind => facts.kinds.has(kind));
+}
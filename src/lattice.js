@@ -0,0 +1,132 @@
+// Unit cells: the parameters each crystal system allows, and conversion of
+// directions [uvw] and planes (hkl) to Cartesian vectors through the cell's
+// metric tensor.
+
+import { normalize, transform, transpose, multiply, invert } from './symmetry.js';
+
+// Cell a system starts with: lengths relative to a, angles in degrees.
+// Trigonal and hexagonal crystals share the hexagonal axes.
+const STANDARD_CELLS = {
+  Triclinic: { a: 1, b: 1.15, c: 1.3, alpha: 95, beta: 105, gamma: 85 },
+  Monoclinic: { a: 1, b: 1.2, c: 1.1, alpha: 90, beta: 105, gamma: 90 },
+  Orthorhombic: { a: 1, b: 1.2, c: 0.9, alpha: 90, beta: 90, gamma: 90 },
+  Tetragonal: { a: 1, b: 1, c: 1.2, alpha: 90, beta: 90, gamma: 90 },
+  Trigonal: { a: 1, b: 1, c: 1.2, alpha: 90, beta: 90, gamma: 120 },
+  Hexagonal: { a: 1, b: 1, c: 1.2, alpha: 90, beta: 90, gamma: 120 },
+  Cubic: { a: 1, b: 1, c: 1, alpha: 90, beta: 90, gamma: 90 }
+};
+
+// Parameters that can be edited in each system; the rest follow from them
+export const FREE_PARAMETERS = {
+  Triclinic: ['a', 'b', 'c', 'alpha', 'beta', 'gamma'],
+  Monoclinic: ['a', 'b', 'c', 'beta'],
+  Orthorhombic: ['a', 'b', 'c'],
+  Tetragonal: ['a', 'c'],
+  Trigonal: ['a', 'c'],
+  Hexagonal: ['a', 'c'],
+  Cubic: ['a']
+};
+
+export function standardCell(system) {
+  return STANDARD_CELLS[system];
+}
+
+// Directions [uvw] crystallographers usually look along in each system
+const STANDARD_DIRECTIONS = {
+  Triclinic: [[1, 0, 0], [0, 1, 0], [0, 0, 1]],
+  Monoclinic: [[1, 0, 0], [0, 1, 0], [0, 0, 1]],
+  Orthorhombic: [[1, 0, 0], [0, 1, 0], [0, 0, 1]],
+  Tetragonal: [[0, 0, 1], [1, 0, 0], [1, 1, 0]],
+  Trigonal: [[0, 0, 1], [1, 0, 0], [1, 1, 0], [2, 1, 0]],
+  Hexagonal: [[0, 0, 1], [1, 0, 0], [1, 1, 0], [2, 1, 0]],
+  Cubic: [[1, 0, 0], [0, 0, 1], [1, 1, 0], [1, 1, 1]]
+};
+
+export function standardDirections(system) {
+  return STANDARD_DIRECTIONS[system];
+}
+
+// The closest cell the system allows: a = b (= c), and right or 120° angles
+// where the symmetry demands them
+export function constrainCell(system, cell) {
+  const { a, b, c, beta } = cell;
+  switch (system) {
+    case 'Triclinic':
+      return { ...cell };
+    case 'Monoclinic':
+      return { a, b, c, alpha: 90, beta, gamma: 90 };
+    case 'Orthorhombic':
+      return { a, b, c, alpha: 90, beta: 90, gamma: 90 };
+    case 'Tetragonal':
+      return { a, b: a, c, alpha: 90, beta: 90, gamma: 90 };
+    case 'Trigonal':
+    case 'Hexagonal':
+      return { a, b: a, c, alpha: 90, beta: 90, gamma: 120 };
+    default:
+      return { a, b: a, c: a, alpha: 90, beta: 90, gamma: 90 };
+  }
+}
+
+// Why a cell can't exist, or null if it can
+export function cellProblem({ a, b, c, alpha, beta, gamma }) {
+  if (![a, b, c].every(x => Number.isFinite(x) && x > 0)) return 'Cell lengths must be positive';
+  if (![alpha, beta, gamma].every(x => Number.isFinite(x) && x > 0 && x < 180)) {
+    return 'Cell angles must lie between 0° and 180°';
+  }
+  const [ca, cb, cg] = [alpha, beta, gamma].map(x => Math.cos((x * Math.PI) / 180));
+  if (1 - ca * ca - cb * cb - cg * cg + 2 * ca * cb * cg <= 1e-6) {
+    return 'These angles do not close a cell: each must be less than the sum of the other two';
+  }
+  return null;
+}
+
+// Columns are the cell vectors in Cartesian coordinates: a along x, b in
+// the xy plane and c completing the cell
+export function cellMatrix({ a, b, c, alpha, beta, gamma }) {
+  const rad = Math.PI / 180;
+  const [ca, cb, cg, sg] = [Math.cos(alpha * rad), Math.cos(beta * rad), Math.cos(gamma * rad), Math.sin(gamma * rad)];
+  const cy = (ca - cb * cg) / sg;
+  const cz = Math.sqrt(Math.max(0, 1 - cb * cb - cy * cy));
+  return [
+    [a, b * cg, c * cb],
+    [0, b * sg, c * cy],
+    [0, 0, c * cz]
+  ];
+}
+
+// G = AᵀA: dot products of the cell vectors
+export function metricTensor(cell) {
+  const a = cellMatrix(cell);
+  return multiply(transpose(a), a);
+}
+
+// Cartesian unit vector along the direction [uvw]
+export function directionVector(uvw, cell) {
+  return normalize(transform(cellMatrix(cell), uvw));
+}
+
+// Cartesian unit normal of the plane (hkl): the reciprocal-lattice vector
+// h a* + k b* + l c*, whose cell components are G⁻¹·(hkl)
+export function planeNormal(hkl, cell) {
+  return normalize(transform(cellMatrix(cell), transform(invert(metricTensor(cell)), hkl)));
+}
+
+// A Cartesian operation written on the crystal axes of the system's
+// standard cell, W = A⁻¹·M·A. Symmetry operations map the lattice onto
+// itself, so the entries are whole numbers.
+export function crystalMatrix(m, system) {
+  const a = cellMatrix(standardCell(system));
+  return multiply(multiply(invert(a), m), a).map(row => row.map(x => Math.round(x * 1e6) / 1e6 + 0));
+}
+
+// A generator written with a crystal direction `uvw` or plane `hkl` as
+// the Cartesian `axis` or `normal` that operationMatrix expects. Every
+// cell a system allows puts its symmetry elements along the same Cartesian
+// lines, so the system's standard cell serves for all of them.
+export function cartesianOperation(op, system) {
+  const cell = standardCell(system);
+  const { uvw, hkl, ...rest } = op;
+  if (uvw) return { ...rest, axis: directionVector(uvw, cell) };
+  if (hkl) return { ...rest, normal: planeNormal(hkl, cell) };
+  return rest;
+}
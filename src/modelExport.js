@@ -0,0 +1,66 @@
+// Writing the drawn model to glTF, OBJ or STL files in the browser
+
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { OBJExporter } from 'three/addons/exporters/OBJExporter.js';
+import { STLExporter } from 'three/addons/exporters/STLExporter.js';
+
+// STL has no units; slicers read it as millimetres, which makes the
+// drawn crystal about 6 cm across
+const STL_SCALE = 20;
+
+// Copy of the model as it stands, without its spin, the animation copy,
+// the wireframe overlay or the HTML labels (which leave empty groups).
+// glTF and OBJ are y-up, so the principal axis z is turned upright.
+function exportCopy(object, { upright }) {
+  const copy = object.clone(true);
+  const drop = [];
+  copy.traverse(node => {
+    if (node === copy) return;
+    if (node.userData.export === false || (!node.isMesh && node.children.length === 0)) drop.push(node);
+  });
+  drop.forEach(node => node.removeFromParent());
+  copy.position.set(0, 0, 0);
+  copy.rotation.set(upright ? -Math.PI / 2 : 0, 0, 0);
+  copy.scale.set(1, 1, 1);
+  copy.updateMatrixWorld(true);
+  return copy;
+}
+
+function download(data, fileName, type) {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Every named node (crystal, axes, mirror planes, inversion centre) as one
+// binary glTF file
+export async function exportGLTF(object, baseName) {
+  const copy = exportCopy(object, { upright: true });
+  const data = await new GLTFExporter().parseAsync(copy, { binary: true });
+  download(data, `${baseName}.glb`, 'model/gltf-binary');
+}
+
+export function exportOBJ(object, baseName) {
+  const copy = exportCopy(object, { upright: true });
+  download(new OBJExporter().parse(copy), `${baseName}.obj`, 'text/plain');
+}
+
+// The crystal (or molecule) alone, solid and scaled for 3D printing
+export function exportSTL(object, baseName) {
+  const copy = exportCopy(object, { upright: false });
+  const shape = copy.getObjectByName('Crystal') || copy.getObjectByName('Molecule');
+  if (!shape) throw new Error('There is no shape to export');
+  shape.removeFromParent();
+  shape.position.set(0, 0, 0);
+  shape.scale.setScalar(STL_SCALE);
+  shape.updateMatrixWorld(true);
+  download(new STLExporter().parse(shape, { binary: true }), `${baseName}.stl`, 'model/stl');
+}
+
+// File name for a group: '4/mmm' → 'point-group-4_mmm'
+export function exportName(group) {
+  return `point-group-${group.id.replace(/\//g, '_')}`;
+}
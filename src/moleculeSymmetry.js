@@ -0,0 +1,315 @@
+// Point-group detection for molecules: find every rotation, rotoinversion
+// and mirror that carries the atoms onto atoms of the same element within
+// a tolerance, name the group and line the molecule up with `pointGroups`.
+
+import {
+  IDENTITY,
+  INVERSION,
+  normalize,
+  dot,
+  cross,
+  multiply,
+  transform,
+  scale,
+  rotationMatrix,
+  mirrorMatrix,
+  operationMatrix,
+  groupElements,
+  rotationBetween,
+  frameRotation
+} from './symmetry.js';
+import { parsePointGroupSymbol } from './pointGroupSymbols.js';
+
+// Orders tried along each candidate direction. Rotoinversions -1 and -2
+// are the inversion and a mirror, which are tested on their own.
+const PROPER_ORDERS = [2, 3, 4, 5, 6, 7, 8];
+const IMPROPER_ORDERS = [3, 4, 5, 6, 8, 10, 12];
+
+// Two unit vectors closer than about 2.5° describe the same line
+const SAME_LINE = 0.999;
+const PERPENDICULAR = 0.05;
+
+function subtract(a, b) {
+  return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+function add(a, b) {
+  return [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+}
+
+function length(v) {
+  return Math.hypot(v[0], v[1], v[2]);
+}
+
+// Atoms moved so their centroid is at the origin. Symmetry-equivalent atoms
+// are the same element, so the centroid is fixed by every operation.
+function centred(atoms) {
+  const sum = atoms.reduce((s, a) => add(s, a.position), [0, 0, 0]);
+  const c = sum.map(x => x / atoms.length);
+  return atoms.map(a => ({ ...a, position: subtract(a.position, c) }));
+}
+
+// Whether m carries every atom onto an atom of the same element
+function isSymmetry(m, atoms, tolerance) {
+  return atoms.every(a => {
+    const p = transform(m, a.position);
+    return atoms.some(b => b.element === a.element && length(subtract(p, b.position)) < tolerance);
+  });
+}
+
+// Eigenvectors of a symmetric 3×3 matrix by Jacobi rotations
+function eigenvectors(matrix) {
+  let a = matrix.map(row => [...row]);
+  let v = IDENTITY.map(row => [...row]);
+  for (let sweep = 0; sweep < 50; sweep++) {
+    if (Math.abs(a[0][1]) + Math.abs(a[0][2]) + Math.abs(a[1][2]) < 1e-12) break;
+    for (const [p, q] of [[0, 1], [0, 2], [1, 2]]) {
+      if (Math.abs(a[p][q]) < 1e-15) continue;
+      const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+      const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+      const c = 1 / Math.sqrt(t * t + 1);
+      const j = IDENTITY.map(row => [...row]);
+      j[p][p] = c;
+      j[q][q] = c;
+      j[p][q] = t * c;
+      j[q][p] = -t * c;
+      const jt = j[0].map((_, col) => j.map(row => row[col]));
+      a = multiply(multiply(jt, a), j);
+      v = multiply(v, j);
+    }
+  }
+  return [0, 1, 2].map(k => [v[0][k], v[1][k], v[2][k]]);
+}
+
+// Principal axes of the (unit-mass) inertia tensor. Every symmetry element
+// of an asymmetric or symmetric top lies along one of them.
+function inertiaAxes(atoms) {
+  const tensor = [0, 1, 2].map(i => [0, 1, 2].map(j => atoms.reduce((s, { position: r }) =>
+    s + (i === j ? dot(r, r) : 0) - r[i] * r[j], 0)));
+  return eigenvectors(tensor);
+}
+
+// Sets of atoms that could be symmetry-equivalent: same element and same
+// distance from the centre
+function equivalenceSets(atoms, tolerance) {
+  const sets = [];
+  for (const atom of atoms) {
+    const r = length(atom.position);
+    if (r < tolerance) continue;
+    const set = sets.find(s => s.element === atom.element && Math.abs(s.radius - r) < tolerance);
+    if (set) set.positions.push(atom.position);
+    else sets.push({ element: atom.element, radius: r, positions: [atom.position] });
+  }
+  return sets;
+}
+
+// Lines that might carry a symmetry element: the inertia axes, atom
+// directions, pair sums, differences and normals, and the normals of
+// equal-sided triangles in the smallest set (for the 3-, 4- and 5-fold
+// axes of cubic and icosahedral molecules)
+function candidateDirections(atoms, tolerance) {
+  // Candidates on the same line are averaged, which evens out the noise in
+  // measured coordinates
+  const sums = [];
+  const consider = (v) => {
+    if (length(v) < 1e-6) return;
+    const d = normalize(v);
+    const sum = sums.find(e => Math.abs(dot(normalize(e), d)) > SAME_LINE);
+    if (!sum) sums.push(d);
+    else {
+      const sign = dot(sum, d) > 0 ? 1 : -1;
+      for (let k = 0; k < 3; k++) sum[k] += sign * d[k];
+    }
+  };
+
+  inertiaAxes(atoms).forEach(consider);
+  const sets = equivalenceSets(atoms, tolerance);
+  for (const { positions } of sets) {
+    positions.forEach((a, i) => {
+      consider(a);
+      positions.slice(i + 1).forEach(b => {
+        consider(add(a, b));
+        consider(subtract(a, b));
+        consider(cross(a, b));
+      });
+    });
+  }
+
+  const smallest = sets
+    .filter(s => s.positions.length >= 3)
+    .sort((a, b) => a.positions.length - b.positions.length)[0];
+  if (smallest) {
+    const p = smallest.positions;
+    for (let i = 0; i < p.length; i++) {
+      for (let j = 0; j < p.length; j++) {
+        if (j === i) continue;
+        const side = length(subtract(p[i], p[j]));
+        for (let k = j + 1; k < p.length; k++) {
+          if (k === i || Math.abs(length(subtract(p[j], p[k])) - side) > tolerance) continue;
+          consider(cross(subtract(p[j], p[i]), subtract(p[k], p[j])));
+        }
+      }
+    }
+  }
+  return sums.map(normalize);
+}
+
+// What the atoms have along `direction`: the highest proper and improper
+// orders and whether there is a mirror perpendicular to it
+function directionSymmetry(direction, atoms, tolerance) {
+  let proper = 1;
+  let improper = 1;
+  for (const n of PROPER_ORDERS) {
+    if (isSymmetry(rotationMatrix(direction, (2 * Math.PI) / n), atoms, tolerance)) proper = n;
+  }
+  for (const n of IMPROPER_ORDERS) {
+    if (isSymmetry(scale(rotationMatrix(direction, (2 * Math.PI) / n), -1), atoms, tolerance)) improper = n;
+  }
+  const mirror = isSymmetry(mirrorMatrix(direction), atoms, tolerance);
+  return { direction, proper, improper, mirror };
+}
+
+// The same summary per line for a group's exact elements
+function groupDirections(elements) {
+  const entries = [];
+  for (const el of elements) {
+    const direction = el.type === 'mirror' ? el.normal : el.axis;
+    if (!direction) continue;
+    const d = normalize(direction);
+    let entry = entries.find(e => Math.abs(dot(e.direction, d)) > SAME_LINE);
+    if (!entry) {
+      entry = { direction: d, proper: 1, improper: 1, mirror: false };
+      entries.push(entry);
+    }
+    if (el.type === 'mirror') entry.mirror = true;
+    else if (el.type === 'rotation') entry.proper = Math.max(entry.proper, el.order);
+    else entry.improper = Math.max(entry.improper, el.order);
+  }
+  return entries;
+}
+
+const sameKind = (a, b) => a.proper === b.proper && a.improper === b.improper && a.mirror === b.mirror;
+
+// Schoenflies symbol from the elements found, following the usual flowchart
+function schoenfliesName(entries, inversion) {
+  const axes = entries.filter(e => e.proper > 1);
+  const mirrors = entries.filter(e => e.mirror);
+  if (axes.filter(e => e.proper >= 3).length >= 2) {
+    if (axes.some(e => e.proper === 5)) return inversion ? 'Ih' : 'I';
+    if (axes.some(e => e.proper === 4)) return inversion ? 'Oh' : 'O';
+    if (inversion) return 'Th';
+    return mirrors.length > 0 ? 'Td' : 'T';
+  }
+  if (axes.length === 0) {
+    if (mirrors.length > 0) return 'Cs';
+    return inversion ? 'Ci' : 'C1';
+  }
+
+  // Among equal highest orders (D2, D2d …) the principal axis is the one
+  // carrying the rotoinversion
+  const n = Math.max(...axes.map(e => e.proper));
+  const main = axes.filter(e => e.proper === n).sort((a, b) => b.improper - a.improper)[0];
+  const perpendicular = e => Math.abs(dot(e.direction, main.direction)) < PERPENDICULAR;
+  const horizontal = mirrors.some(e => e === main);
+  const vertical = mirrors.filter(perpendicular).length;
+  const twofold = axes.filter(e => e !== main && perpendicular(e)).length;
+  // S2n is the rotoinversion of order n (n odd) or 2n (n even)
+  const s2n = main.improper === (n % 2 === 1 ? n : 2 * n);
+
+  if (twofold >= n) {
+    if (horizontal) return `D${n}h`;
+    return vertical >= n ? `D${n}d` : `D${n}`;
+  }
+  if (horizontal) return `C${n}h`;
+  if (vertical >= n) return `C${n}v`;
+  return s2n ? `S${2 * n}` : `C${n}`;
+}
+
+// Rotations worth trying to put the molecule in the group's standard
+// orientation: its most symmetric line onto the group's, and a second
+// non-parallel element onto the matching one at the same angle
+function alignmentCandidates(found, standard) {
+  const ranked = [...standard].sort((a, b) =>
+    b.proper - a.proper || b.improper - a.improper || Number(b.mirror) - Number(a.mirror));
+  const [primary] = ranked;
+  if (!primary) return [IDENTITY];
+  const secondary = ranked.find(e => Math.abs(dot(e.direction, primary.direction)) < SAME_LINE);
+  const candidates = [];
+  for (const a of found.filter(e => sameKind(e, primary))) {
+    for (const sa of [1, -1]) {
+      const da = a.direction.map(c => c * sa);
+      if (!secondary) {
+        candidates.push(rotationBetween(da, primary.direction));
+        continue;
+      }
+      const angle = dot(primary.direction, secondary.direction);
+      for (const b of found.filter(e => e !== a && sameKind(e, secondary))) {
+        for (const sb of [1, -1]) {
+          const db = b.direction.map(c => c * sb);
+          if (Math.abs(dot(da, db) - angle) < 0.02) {
+            candidates.push(frameRotation(da, db, primary.direction, secondary.direction));
+          }
+        }
+      }
+    }
+  }
+  return candidates;
+}
+
+// Detect the point group of `atoms` ([{ element, position }], positions in
+// Å) within `tolerance` Å. Returns the Schoenflies `name`, the matching
+// entry of `groups` (null for non-crystallographic groups such as C5v or
+// Ih) and the atoms centred and rotated so that the group's elements line
+// up with the standard ones (`aligned`), or with the principal axis along
+// z when that isn't possible.
+export function detectMoleculeSymmetry(atoms, tolerance, groups) {
+  const centredAtoms = centred(atoms);
+  const farthest = centredAtoms.reduce((best, a) =>
+    (length(a.position) > length(best.position) ? a : best), centredAtoms[0]);
+
+  if (length(farthest.position) < tolerance) {
+    return { name: 'Kh', group: null, atoms: centredAtoms, aligned: false };
+  }
+
+  // Linear molecules have an infinite axis along the line
+  const line = normalize(farthest.position);
+  const inversion = isSymmetry(INVERSION, centredAtoms, tolerance);
+  if (centredAtoms.every(a => length(cross(a.position, line)) < tolerance)) {
+    const toZ = rotationBetween(line, [0, 0, 1]);
+    return {
+      name: inversion ? 'D∞h' : 'C∞v',
+      group: null,
+      atoms: centredAtoms.map(a => ({ ...a, position: transform(toZ, a.position) })),
+      aligned: false
+    };
+  }
+
+  const elements = candidateDirections(centredAtoms, tolerance)
+    .map(d => directionSymmetry(d, centredAtoms, tolerance))
+    .filter(e => e.proper > 1 || e.improper > 1 || e.mirror);
+  const name = schoenfliesName(elements, inversion);
+
+  let group = null;
+  try {
+    group = parsePointGroupSymbol(name, groups).group;
+  } catch {
+    // Non-crystallographic: 5-, 7- and 8-fold axes, I and Ih
+  }
+
+  const rotate = (q) => centredAtoms.map(a => ({ ...a, position: transform(q, a.position) }));
+  if (group) {
+    const generators = group.operations.map(operationMatrix);
+    const standard = groupDirections(groupElements(group));
+    for (const q of alignmentCandidates(elements, standard)) {
+      const rotated = rotate(q);
+      if (generators.every(g => isSymmetry(g, rotated, tolerance))) {
+        return { name, group, atoms: rotated, aligned: true };
+      }
+    }
+  }
+
+  // Principal axis along z
+  const main = [...elements].sort((a, b) => b.proper - a.proper || b.improper - a.improper)[0];
+  const q = main ? rotationBetween(main.direction, [0, 0, 1]) : IDENTITY;
+  return { name, group, atoms: rotate(q), aligned: false };
+}
@@ -0,0 +1,113 @@
+// Reading molecular structures from XYZ and MDL MOL files
+
+// Covalent radii in Å, for guessing bonds in XYZ files
+const COVALENT_RADII = {
+  H: 0.31, He: 0.28, Li: 1.28, Be: 0.96, B: 0.84, C: 0.76, N: 0.71, O: 0.66, F: 0.57, Ne: 0.58,
+  Na: 1.66, Mg: 1.41, Al: 1.21, Si: 1.11, P: 1.07, S: 1.05, Cl: 1.02, Ar: 1.06,
+  K: 2.03, Ca: 1.76, Ti: 1.6, Cr: 1.39, Mn: 1.39, Fe: 1.32, Co: 1.26, Ni: 1.24, Cu: 1.32, Zn: 1.22,
+  Ga: 1.22, Ge: 1.2, As: 1.19, Se: 1.2, Br: 1.2, Kr: 1.16, Ru: 1.46, Rh: 1.42, Pd: 1.39, Ag: 1.45,
+  Sn: 1.39, Sb: 1.39, Te: 1.38, I: 1.39, Xe: 1.4, W: 1.62, Os: 1.44, Ir: 1.41, Pt: 1.36, Au: 1.36,
+  Hg: 1.32, Pb: 1.46, U: 1.96
+};
+
+const SYMBOLS = [
+  'H', 'He', 'Li', 'Be', 'B', 'C', 'N', 'O', 'F', 'Ne', 'Na', 'Mg', 'Al', 'Si', 'P', 'S', 'Cl', 'Ar',
+  'K', 'Ca', 'Sc', 'Ti', 'V', 'Cr', 'Mn', 'Fe', 'Co', 'Ni', 'Cu', 'Zn', 'Ga', 'Ge', 'As', 'Se', 'Br', 'Kr'
+];
+
+// CPK colours for common elements
+const ELEMENT_COLORS = {
+  H: '#ffffff', C: '#909090', N: '#3050f8', O: '#ff0d0d', F: '#90e050', Cl: '#1ff01f',
+  Br: '#a62929', I: '#940094', S: '#ffff30', P: '#ff8000', B: '#ffb5b5', Si: '#f0c8a0',
+  Na: '#ab5cf2', Mg: '#8aff00', Al: '#bfa6a6', K: '#8f40d4', Ca: '#3dff00', Ti: '#bfc2c7',
+  Fe: '#e06633', Cu: '#c88033', Zn: '#7d80b0', Xe: '#429eb0', Pt: '#d0d0e0'
+};
+
+// 'c', 'CL', '6', 'Fe3+' and a site label such as 'O1A' all become an
+// element symbol
+export function elementSymbol(token) {
+  if (/^\d+$/.test(token)) return SYMBOLS[Number(token) - 1] || token;
+  const letters = (token.match(/^[A-Za-z]+/) || [''])[0];
+  const two = letters.charAt(0).toUpperCase() + letters.slice(1, 2).toLowerCase();
+  return two.length === 2 && !COVALENT_RADII[two] ? two.charAt(0) : two;
+}
+
+export function covalentRadius(element) {
+  return COVALENT_RADII[element] || 0.8;
+}
+
+// Everything without a CPK colour is pink
+export function elementColor(element) {
+  return ELEMENT_COLORS[element] || '#ff1493';
+}
+
+function readNumber(text, what) {
+  const value = Number(text);
+  if (!Number.isFinite(value)) throw new Error(`Could not read ${what} from "${text}"`);
+  return value;
+}
+
+// XYZ: atom count, a comment line, then "El x y z" per atom. Only the
+// first frame of a multi-frame file is read.
+export function parseXYZ(text) {
+  const lines = text.split(/\r?\n/);
+  const count = parseInt(lines[0], 10);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error('An XYZ file starts with the number of atoms');
+  }
+  const atoms = lines.slice(2, 2 + count).map((line, i) => {
+    const [element, x, y, z] = line.trim().split(/\s+/);
+    if (z === undefined) throw new Error(`Atom ${i + 1} needs an element and three coordinates`);
+    return {
+      element: elementSymbol(element),
+      position: [x, y, z].map(v => readNumber(v, `atom ${i + 1}`))
+    };
+  });
+  if (atoms.length < count) throw new Error(`Expected ${count} atoms but found ${atoms.length}`);
+  return { title: lines[1].trim(), atoms, bonds: guessBonds(atoms) };
+}
+
+// MDL MOL (V2000): three header lines, the counts line, then the atom
+// and bond blocks in fixed columns
+export function parseMol(text) {
+  const lines = text.split(/\r?\n/);
+  const counts = lines[3] || '';
+  if (/V3000/.test(counts)) throw new Error('Only V2000 MOL files are supported');
+  const atomCount = parseInt(counts.slice(0, 3), 10);
+  const bondCount = parseInt(counts.slice(3, 6), 10) || 0;
+  if (!Number.isInteger(atomCount) || atomCount < 1) {
+    throw new Error('The MOL counts line (line 4) has no atom count');
+  }
+  const atoms = lines.slice(4, 4 + atomCount).map((line, i) => ({
+    element: elementSymbol(line.slice(31, 34).trim()),
+    position: [line.slice(0, 10), line.slice(10, 20), line.slice(20, 30)]
+      .map(v => readNumber(v.trim(), `atom ${i + 1}`))
+  }));
+  const bonds = lines.slice(4 + atomCount, 4 + atomCount + bondCount).map(line => [
+    parseInt(line.slice(0, 3), 10) - 1,
+    parseInt(line.slice(3, 6), 10) - 1
+  ]).filter(([a, b]) => atoms[a] && atoms[b]);
+  return { title: lines[0].trim(), atoms, bonds };
+}
+
+// Pairs of atoms closer than the sum of their covalent radii, with 20 % slack
+export function guessBonds(atoms) {
+  const bonds = [];
+  for (let i = 0; i < atoms.length; i++) {
+    for (let j = i + 1; j < atoms.length; j++) {
+      const [a, b] = [atoms[i].position, atoms[j].position];
+      const d = Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+      if (d < 1.2 * (covalentRadius(atoms[i].element) + covalentRadius(atoms[j].element))) {
+        bonds.push([i, j]);
+      }
+    }
+  }
+  return bonds;
+}
+
+// Read a file by its extension
+export function parseMolecule(text, fileName) {
+  if (/\.xyz$/i.test(fileName)) return parseXYZ(text);
+  if (/\.(mol|sdf)$/i.test(fileName)) return parseMol(text);
+  throw new Error('Choose an .xyz or .mol file');
+}
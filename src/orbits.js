@@ -0,0 +1,51 @@
+// General and special positions: the copies of a point under a group, and
+// the site symmetry that lowers their number when the point lies on an
+// axis, a mirror or the inversion centre
+
+import { closeGroup, transform, orbit, identifyPointGroup } from './symmetry.js';
+
+// How close a point has to come to an element's fixed points to snap on
+export const SNAP_DISTANCE = 0.1;
+
+function distance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+// Nearest point left unmoved by all of `matrices`: averaging over the group
+// they generate projects onto its fixed points
+function projectOnto(matrices, point) {
+  const group = closeGroup(matrices);
+  const images = group.map(m => transform(m, point));
+  return [0, 1, 2].map(i => images.reduce((sum, p) => sum + p[i], 0) / group.length);
+}
+
+// Move `point` onto the elements it is close to. Landing on one can bring
+// it near another (a mirror near an axis), so this repeats until no new
+// element is picked up.
+export function snapPoint(point, elements) {
+  let snapped = point;
+  let near = [];
+  for (;;) {
+    const next = elements.filter(el => distance(snapped, projectOnto([el.matrix], snapped)) < SNAP_DISTANCE);
+    if (next.length === near.length) return snapped;
+    near = next;
+    snapped = projectOnto(near.map(el => el.matrix), point);
+  }
+}
+
+// Orbit of a point after snapping. The operations that leave it in place
+// form its site symmetry, and the orbit is smaller by that group's order.
+export function pointOrbit(point, elements, groups) {
+  const snapped = snapPoint(point, elements).map(x => (Math.abs(x) < 1e-9 ? 0 : x));
+  const stabilizer = elements.filter(el => distance(transform(el.matrix, snapped), snapped) < 1e-6);
+  const axes = stabilizer.filter(el => el.type === 'rotation');
+  return {
+    point: snapped,
+    images: orbit(snapped, elements),
+    special: stabilizer.length > 1,
+    siteSymmetry: identifyPointGroup(stabilizer, groups)?.id ?? '1',
+    atCentre: distance(snapped, [0, 0, 0]) < 1e-6,
+    axisOrder: axes.length > 0 ? Math.max(...axes.map(el => el.order)) : 1,
+    mirrors: stabilizer.filter(el => el.type === 'mirror').length
+  };
+}
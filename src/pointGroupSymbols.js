@@ -0,0 +1,232 @@
+// Parse Hermann–Mauguin symbols (full, short and non-standard settings)
+// and Schoenflies symbols into oriented generators for a point group.
+
+import {
+  normalize,
+  sameLine,
+  closeGroup,
+  operationMatrix,
+  classifyMatrix,
+  basisForSystem,
+  identifyPointGroup,
+  groupElements,
+  multiply,
+  transform,
+  transpose,
+  sameOperations,
+  AXIS_ROTATIONS
+} from './symmetry.js';
+import { directionVector, standardCell } from './lattice.js';
+
+// Symmetry directions [uvw] of each position in a symbol, following
+// International Tables: cubic [001] [111] [1-10], tetragonal [001] [100]
+// [1-10], hexagonal [001] [100] [1-10] (on hexagonal axes) and the three
+// axes otherwise.
+const POSITIONS = {
+  Cubic: [[0, 0, 1], [1, 1, 1], [1, -1, 0]],
+  Tetragonal: [[0, 0, 1], [1, 0, 0], [1, -1, 0]],
+  Hexagonal: [[0, 0, 1], [1, 0, 0], [1, -1, 0]],
+  Axes: [[1, 0, 0], [0, 1, 0], [0, 0, 1]],
+  Monoclinic: [[0, 1, 0]],
+  Triclinic: [[0, 0, 1]]
+};
+
+const NON_CRYSTALLOGRAPHIC = 'only 1-, 2-, 3-, 4- and 6-fold axes fit a crystal lattice';
+
+function parseError(symbol, reason) {
+  return new Error(`"${symbol}" ${reason}`);
+}
+
+// Overbars and macrons (4̅, 4̄), Unicode minus signs and subscript digits
+// become plain text
+function normalizeText(text) {
+  return text
+    .trim()
+    .replace(/(\d)[\u0304\u0305]/g, '-$1')
+    .replace(/[−–]/g, '-')
+    .replace(/[₀-₉]/g, c => String(c.charCodeAt(0) - 0x2080))
+    .replace(/ᵢ/g, 'i')
+    .replace(/ₕ/g, 'h')
+    .replace(/ᵥ/g, 'v');
+}
+
+// One position of a Hermann–Mauguin symbol: '4', '-3', 'm', '2/m', '1'
+function parseToken(token) {
+  if (token === 'm') return { order: 1, bar: false, mirror: true };
+  const match = token.match(/^(-?)(\d)(\/m)?$/);
+  return { order: Number(match[2]), bar: match[1] === '-', mirror: Boolean(match[3]) };
+}
+
+function tokenGenerators(token, direction) {
+  const { order, bar, mirror } = parseToken(token);
+  const axis = normalize(direction);
+  const ops = [];
+  if (bar) {
+    if (order === 1) ops.push({ type: 'inversion' });
+    else if (order === 2) ops.push({ type: 'mirror', normal: axis });
+    else ops.push({ type: 'rotation', order, axis, roto: true });
+  } else if (order > 1) {
+    ops.push({ type: 'rotation', order, axis });
+  }
+  if (mirror) ops.push({ type: 'mirror', normal: axis });
+  return ops;
+}
+
+// Symbol the group actually has along `direction`, worked out the same way
+// as symmetryElements names its axes
+function positionSymbol(elements, direction) {
+  let proper = 1;
+  let improper = 1;
+  let mirror = false;
+  for (const el of elements) {
+    if (el.type === 'mirror' && sameLine(el.normal, direction)) {
+      mirror = true;
+      improper = Math.max(improper, 2);
+    } else if (el.type === 'rotation' && sameLine(el.axis, direction)) {
+      proper = Math.max(proper, el.order);
+    } else if (el.type === 'rotoinversion' && sameLine(el.axis, direction)) {
+      improper = Math.max(improper, el.order);
+    }
+  }
+  if (improper > proper || (improper === proper && proper % 2 === 1 && proper > 1)) {
+    return improper === 2 ? 'm' : `-${improper}`;
+  }
+  if (mirror) return proper > 1 ? `${proper}/m` : 'm';
+  return String(proper);
+}
+
+// A typed position is accepted if it is what the group has there, or its
+// short form: 'm' for n/m, -2 for m, and the old cubic '3' for -3 (m3, m3m)
+function positionMatches(typed, actual, system) {
+  if (typed === actual || (typed === '-2' && actual === 'm')) return true;
+  if (typed === 'm' && actual.endsWith('/m')) return true;
+  return system === 'Cubic' && typed === '3' && actual === '-3';
+}
+
+function systemOf(tokens, symbol) {
+  const orders = tokens.map(t => parseToken(t).order);
+  const bad = orders.find(n => n === 0 || n === 5 || n > 6);
+  if (bad !== undefined) {
+    throw parseError(symbol, `has a ${bad}-fold axis, but ${NON_CRYSTALLOGRAPHIC}`);
+  }
+  if (tokens.length > 3) throw parseError(symbol, 'has more than three positions');
+  if (tokens.length >= 2 && orders[1] === 3) return 'Cubic';
+  if (orders[0] === 3 || orders[0] === 6) return 'Hexagonal';
+  if (orders[0] === 4) {
+    if (tokens.length === 2) throw parseError(symbol, 'needs one or three positions for a 4-fold axis');
+    return 'Tetragonal';
+  }
+  if (orders.some(n => n > 2)) throw parseError(symbol, 'has axes in positions that no lattice allows');
+  if (tokens.length === 3) return 'Axes';
+  if (tokens.length === 2) throw parseError(symbol, 'needs one or three positions');
+  return tokens[0] === '1' || tokens[0] === '-1' ? 'Triclinic' : 'Monoclinic';
+}
+
+function parseHermannMauguin(symbol, groups) {
+  const compact = symbol.replace(/\s+/g, '');
+  const tokens = compact.match(/-?\d(?:\/m)?|m/g) || [];
+  if (tokens.join('') !== compact) {
+    throw parseError(symbol, 'is not a Hermann–Mauguin or Schoenflies symbol');
+  }
+  const system = systemOf(tokens, symbol);
+  const cell = standardCell(system === 'Hexagonal' ? 'Hexagonal' : 'Cubic');
+  const directions = tokens.map((_, i) => directionVector(POSITIONS[system][i], cell));
+  const operations = tokens.flatMap((t, i) => tokenGenerators(t, directions[i]));
+
+  let elements;
+  try {
+    const matrices = closeGroup(operations.map(operationMatrix));
+    elements = matrices.map(m => classifyMatrix(m));
+  } catch {
+    throw parseError(symbol, 'does not generate a finite point group');
+  }
+  const group = identifyPointGroup(elements, groups);
+
+  // Every position must describe what the generated group really has there
+  const hasInversion = elements.some(el => el.type === 'inversion');
+  const actual = directions.map((d, i) =>
+    tokens[i] === '-1' ? (hasInversion ? '-1' : '1') : positionSymbol(elements, d)
+  );
+  const consistent = group && tokens.every((t, i) => positionMatches(t, actual[i], group.system));
+  if (!consistent) {
+    const made = group ? `${group.id} (${actual.join('')} in these positions)` : 'no crystallographic point group';
+    throw parseError(symbol, `is not a valid symbol: its generators make ${made}`);
+  }
+  return { symbol: symbol.replace(/\s+/g, ' '), operations, group, habit: settingHabit(group, elements) };
+}
+
+// The group's habit carried into this setting. Settings that only swap the
+// axes (2mm, m2m, 1 1 2 …) take the faces with them; the others (-4m2,
+// 31m …) keep the standard faces, which already have their symmetry.
+function settingHabit(group, elements) {
+  if (basisForSystem(group.system) !== 'cartesian') return group.habit;
+  const standard = groupElements(group);
+  const rotation = AXIS_ROTATIONS.find(r =>
+    sameOperations(
+      standard.map(el => ({ matrix: multiply(multiply(r, el.matrix), transpose(r)) })),
+      elements
+    )
+  );
+  if (!rotation) return group.habit;
+  return group.habit.map(form => ({ ...form, hkl: transform(rotation, form.hkl) }));
+}
+
+const SCHOENFLIES = /^([CSDTOI])(∞|\d*)([hvdis]?)$/;
+
+// Whether letter, order and suffix make a Schoenflies symbol at all:
+// Cn, Cnh, Cnv, Ci, Cs, C3i, Dn, Dnh, Dnd, Sn, T, Th, Td, O, Oh, I, Ih
+function wellFormedSchoenflies(letter, n, suffix) {
+  if ('TOI'.includes(letter)) {
+    const suffixes = { T: ['', 'h', 'd'], O: ['', 'h'], I: ['', 'h'] };
+    return !n && suffixes[letter].includes(suffix);
+  }
+  if (letter === 'C' && n === '3' && suffix === 'i') return true;
+  if (letter === 'C') return n ? ['', 'h', 'v'].includes(suffix) : ['i', 's'].includes(suffix);
+  if (letter === 'D') return Number(n) > 1 && ['', 'h', 'd'].includes(suffix);
+  return Boolean(n) && !suffix;
+}
+
+// Schoenflies symbols name groups in the standard setting
+function parseSchoenflies(symbol, groups) {
+  const match = symbol.match(SCHOENFLIES);
+  const [, letter, n, suffix] = match;
+  if (letter === 'I' || n === '∞' || (n && ![1, 2, 3, 4, 6].includes(Number(n)))) {
+    throw parseError(symbol, `is not a crystallographic point group: ${NON_CRYSTALLOGRAPHIC}`);
+  }
+  if (!wellFormedSchoenflies(letter, n, suffix)) {
+    throw parseError(symbol, 'is not a Schoenflies symbol of a point group');
+  }
+  // D4d and D6d hold S8 and S12 axes
+  if (letter === 'D' && suffix === 'd' && ['4', '6'].includes(n)) {
+    throw parseError(
+      symbol,
+      `is not a crystallographic point group: it has an S${2 * n} axis, but ${NON_CRYSTALLOGRAPHIC}`
+    );
+  }
+  const synonyms = { S1: 'Cs', S2: 'Ci', S3: 'C3h', S6: 'C3i', C1h: 'Cs', C1v: 'Cs' };
+  const key = synonyms[`${letter}${n}${suffix}`] || `${letter}${n}${suffix}`;
+  const group = groups.find(g => normalizeText(g.schoenflies) === key);
+  if (!group) throw parseError(symbol, `is not a crystallographic point group: ${NON_CRYSTALLOGRAPHIC}`);
+  return { symbol, operations: group.operations, group, habit: group.habit };
+}
+
+// Parse a point-group symbol. Returns the tidied symbol, generators
+// (`operations`) oriented as the symbol says, the matching entry of
+// `groups` and a `habit` for drawing it in this setting. A symbol that
+// is malformed, or names a group no crystal can have, throws an Error
+// saying which.
+export function parsePointGroupSymbol(text, groups) {
+  const symbol = normalizeText(text);
+  if (!symbol) throw new Error('Enter a symbol such as 4/mmm, -4m2 or D4h');
+  if (SCHOENFLIES.test(symbol)) return parseSchoenflies(symbol, groups);
+  if (/^[A-Z]/.test(symbol)) {
+    throw parseError(symbol, 'is not a Schoenflies symbol of a point group');
+  }
+  return parseHermannMauguin(symbol, groups);
+}
+
+// Full elements of a parsed symbol, in the basis of its crystal system
+export function symbolElements(parsed) {
+  const basis = basisForSystem(parsed.group.system);
+  return closeGroup(parsed.operations.map(operationMatrix)).map(m => classifyMatrix(m, basis));
+}
@@ -0,0 +1,136 @@
+// Convex polyhedra from intersecting half-spaces n · x ≤ d
+
+import * as THREE from 'three';
+import { dot, cross, normalize, transform, matricesEqual } from './symmetry.js';
+
+const EPS = 1e-6;
+
+// Half-spaces that box in open forms (prisms, pyramids …) so they can
+// still be drawn; a face on one of these means the shape is open.
+function boundingPlanes(distance) {
+  return [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]].map(normal => ({
+    normal,
+    distance,
+    bounding: true
+  }));
+}
+
+// Point where three planes meet, or null if they don't meet in a point
+function intersectThree(a, b, c) {
+  const bc = cross(b.normal, c.normal);
+  const det = dot(a.normal, bc);
+  if (Math.abs(det) < EPS) return null;
+  const ca = cross(c.normal, a.normal);
+  const ab = cross(a.normal, b.normal);
+  return [0, 1, 2].map(i => (a.distance * bc[i] + b.distance * ca[i] + c.distance * ab[i]) / det);
+}
+
+// Intersect the half-spaces { normal, distance } and return the vertices
+// and the polygonal faces (vertex indices, counter-clockwise seen from
+// outside). `open` is set when the planes don't enclose a finite volume
+// and the shape had to be boxed in at `boundFactor` times the largest
+// central distance; `planeFaces[i]` is the face lying on planes[i], or
+// null if that plane doesn't reach the surface, and `facePlanes` lists
+// the planes that do.
+export function intersectHalfSpaces(planes, boundFactor = 100) {
+  const maxDistance = Math.max(...planes.map(p => p.distance));
+  const all = [...planes, ...boundingPlanes(maxDistance * boundFactor)];
+
+  const vertices = [];
+  for (let i = 0; i < all.length; i++) {
+    for (let j = i + 1; j < all.length; j++) {
+      for (let k = j + 1; k < all.length; k++) {
+        const v = intersectThree(all[i], all[j], all[k]);
+        if (!v) continue;
+        if (all.some(p => dot(p.normal, v) > p.distance + EPS)) continue;
+        if (vertices.some(w => Math.hypot(w[0] - v[0], w[1] - v[1], w[2] - v[2]) < 1e-5)) continue;
+        vertices.push(v);
+      }
+    }
+  }
+
+  const faces = all.map(plane => {
+    const onPlane = vertices
+      .map((v, index) => ({ v, index }))
+      .filter(({ v }) => Math.abs(dot(plane.normal, v) - plane.distance) < 1e-5);
+    if (onPlane.length < 3) return null;
+
+    const centre = [0, 1, 2].map(i => onPlane.reduce((sum, { v }) => sum + v[i], 0) / onPlane.length);
+    const helper = Math.abs(plane.normal[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+    const u = normalize(cross(helper, plane.normal));
+    const w = cross(plane.normal, u);
+    const angle = v => {
+      const d = [v[0] - centre[0], v[1] - centre[1], v[2] - centre[2]];
+      return Math.atan2(dot(d, w), dot(d, u));
+    };
+    return onPlane.sort((a, b) => angle(a.v) - angle(b.v)).map(({ index }) => index);
+  });
+
+  return {
+    vertices,
+    faces: faces.filter(Boolean),
+    planeFaces: faces.slice(0, planes.length),
+    facePlanes: planes.filter((_, i) => faces[i]),
+    open: faces.slice(planes.length).some(Boolean)
+  };
+}
+
+// Triangulated, flat-shaded geometry of a polyhedron, scaled so its
+// furthest vertex sits at `radius`
+export function polyhedronGeometry({ vertices, faces }, radius = 1.4) {
+  const extent = Math.max(...vertices.map(v => Math.hypot(...v)));
+  const s = radius / extent;
+  const positions = [];
+  for (const face of faces) {
+    for (let i = 1; i < face.length - 1; i++) {
+      for (const index of [face[0], face[i], face[i + 1]]) {
+        const v = vertices[index];
+        positions.push(v[0] * s, v[1] * s, v[2] * s);
+      }
+    }
+  }
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.computeVertexNormals();
+  return geometry;
+}
+
+// Orthonormal frame built from two non-parallel unit vectors
+function frame(a, b) {
+  const e2 = normalize(b.map((x, i) => x - dot(a, b) * a[i]));
+  return [a, e2, cross(a, e2)];
+}
+
+// Every orthogonal operation (proper or improper) that maps the face
+// planes { normal, distance } of a closed solid onto themselves. Any such
+// operation is fixed by where it sends two non-parallel faces, so only
+// images of the first two faces need to be tried.
+export function solidSymmetry(faces) {
+  const same = (x, y) => Math.abs(x - y) < 1e-5;
+  const a = faces[0];
+  const b = faces.find(f => Math.abs(dot(f.normal, a.normal)) < 1 - 1e-5);
+  if (!b) return [];
+  const from = frame(a.normal, b.normal);
+  const cosAB = dot(a.normal, b.normal);
+
+  const found = [];
+  for (const a2 of faces.filter(f => same(f.distance, a.distance))) {
+    for (const b2 of faces.filter(f => same(f.distance, b.distance))) {
+      if (!same(dot(a2.normal, b2.normal), cosAB)) continue;
+      const to = frame(a2.normal, b2.normal);
+      for (const handedness of [1, -1]) {
+        const target = [to[0], to[1], to[2].map(x => x * handedness)];
+        // M = Σ target_k ⊗ from_k maps from-frame onto target-frame
+        const m = [0, 1, 2].map(i => [0, 1, 2].map(j =>
+          target[0][i] * from[0][j] + target[1][i] * from[1][j] + target[2][i] * from[2][j]
+        ));
+        const maps = faces.every(f => {
+          const n = transform(m, f.normal);
+          return faces.some(g => same(g.distance, f.distance) && dot(g.normal, n) > 1 - 1e-5);
+        });
+        if (maps && !found.some(x => matricesEqual(x, m, 1e-4))) found.push(m);
+      }
+    }
+  }
+  return found;
+}
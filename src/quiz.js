@@ -0,0 +1,145 @@
+// Quiz questions about the point groups, and the record of groups a
+// student gets wrong so that they come up more often
+
+import { groupElements, symmetryElements } from './symmetry.js';
+import { parsePointGroupSymbol } from './pointGroupSymbols.js';
+
+const STORAGE_KEY = 'crystal-symmetry-explorer:quiz-mistakes';
+
+const KINDS = ['identify', 'elements', 'mirrors', 'centre'];
+
+// Mistakes per group id, kept between visits
+export function loadMistakes() {
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveMistakes(mistakes) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(mistakes));
+  } catch {
+    // Storage can be full or blocked; the record then lasts this visit only
+  }
+}
+
+// A wrong answer counts one more mistake against the group, a right one
+// takes one away, so weak spots fade once they are learnt
+export function recordAnswer(mistakes, groupId, correct) {
+  const count = Math.max(0, (mistakes[groupId] || 0) + (correct ? -1 : 1));
+  const { [groupId]: _, ...rest } = mistakes;
+  return count > 0 ? { ...rest, [groupId]: count } : rest;
+}
+
+function randomItem(items) {
+  return items[Math.floor(Math.random() * items.length)];
+}
+
+function shuffle(items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+// Random group other than `previous`, three times as likely after one
+// mistake, five times after two and so on
+function pickGroup(groups, mistakes, previous) {
+  const pool = groups.filter(g => g !== previous);
+  const weights = pool.map(g => 1 + 2 * (mistakes[g.id] || 0));
+  let r = Math.random() * weights.reduce((a, b) => a + b, 0);
+  for (let i = 0; i < pool.length; i++) {
+    r -= weights[i];
+    if (r < 0) return pool[i];
+  }
+  return pool[pool.length - 1];
+}
+
+// Symmetry elements by kind and count: '4, 4×2, 5m, -1'
+export function elementSummary(group) {
+  const elements = symmetryElements(groupElements(group));
+  const counts = new Map();
+  for (const el of elements) {
+    const key = el.type === 'rotation' ? `${el.roto ? '-' : ''}${el.order}` : el.type === 'mirror' ? 'm' : '-1';
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  if (counts.size === 0) return 'Only the identity';
+  return [...counts].map(([key, n]) => (n > 1 ? `${n}×${key}` : key)).join(', ');
+}
+
+// A question about `group`: its `prompt`, the `choices` to pick from (or
+// null for a typed answer), the `answer` as shown afterwards and a
+// `check` of a response
+function makeQuestion(group, kind, groups) {
+  const elements = symmetryElements(groupElements(group));
+  switch (kind) {
+    case 'identify':
+      return {
+        group,
+        kind,
+        prompt: 'Which point group is this? Give its Hermann–Mauguin or Schoenflies symbol.',
+        choices: null,
+        answer: `${group.id} (${group.schoenflies})`,
+        check: (response) => {
+          try {
+            return parsePointGroupSymbol(response, groups).group.id === group.id;
+          } catch {
+            return false;
+          }
+        }
+      };
+    case 'elements': {
+      // Wrong choices come from the same system first, where they are hardest
+      const answer = elementSummary(group);
+      const others = [
+        ...shuffle(groups.filter(g => g.system === group.system)),
+        ...shuffle(groups.filter(g => g.system !== group.system))
+      ];
+      const choices = [answer];
+      for (const other of others) {
+        const summary = elementSummary(other);
+        if (!choices.includes(summary)) choices.push(summary);
+        if (choices.length === 4) break;
+      }
+      return {
+        group,
+        kind,
+        prompt: 'Which set of symmetry elements does it have?',
+        choices: shuffle(choices),
+        answer,
+        check: (response) => response === answer
+      };
+    }
+    case 'mirrors': {
+      const count = elements.filter(el => el.type === 'mirror').length;
+      return {
+        group,
+        kind,
+        prompt: 'How many mirror planes does it have?',
+        choices: null,
+        answer: String(count),
+        check: (response) => Number(response.trim()) === count && response.trim() !== ''
+      };
+    }
+    default: {
+      const answer = elements.some(el => el.type === 'inversion') ? 'Yes' : 'No';
+      return {
+        group,
+        kind,
+        prompt: 'Is it centrosymmetric?',
+        choices: ['Yes', 'No'],
+        answer,
+        check: (response) => response === answer
+      };
+    }
+  }
+}
+
+// Next question: a group weighted towards past mistakes and a random kind
+export function nextQuestion(groups, mistakes, previous = null) {
+  return makeQuestion(pickGroup(groups, mistakes, previous), randomItem(KINDS), groups);
+}
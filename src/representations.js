@@ -0,0 +1,71 @@
+// Reducible representations, their reduction into irreps and the IR and
+// Raman selection rules that follow from the basis functions.
+
+import { determinant, transform } from './symmetry.js';
+
+const trace = m => m[0][0] + m[1][1] + m[2][2];
+
+// Number of times each irrep of a character table occurs in a reducible
+// representation with real characters `chi` (one per class):
+// a_i = (1/h) Σ_k n_k χ_i(k)* χ(k). Complex-conjugate pairs always occur
+// together for real characters and are counted once. `valid` is false
+// when the counts don't come out as non-negative integers.
+export function reduceRepresentation(table, chi) {
+  const sizes = table.classes.map(c => c.operations.length);
+  const order = sizes.reduce((a, b) => a + b, 0);
+  const counts = table.irreps.map(irrep => {
+    const [first] = irrep.rows;
+    const sum = first.values.reduce((s, [re], k) => s + sizes[k] * re * chi[k], 0);
+    return sum / order;
+  });
+  const valid = counts.every(a => Math.abs(a - Math.round(a)) < 1e-6 && a > -1e-6);
+  return {
+    valid,
+    counts: table.irreps.map((irrep, i) => ({
+      irrep,
+      count: valid ? Math.round(counts[i]) : counts[i]
+    }))
+  };
+}
+
+// IR activity needs a component of the dipole (x, y or z) and Raman
+// activity a component of the polarizability (a quadratic function)
+export function irrepActivity(irrep) {
+  const ir = /(^|[^R])[xyz]/.test(irrep.linear);
+  const raman = irrep.quadratic !== '';
+  return { ir, raman, silent: !ir && !raman };
+}
+
+// Characters of x, y, z (translations) and of Rx, Ry, Rz (rotations)
+export function translationCharacters(table) {
+  return table.classes.map(c => trace(c.operations[0].matrix));
+}
+
+export function rotationCharacters(table) {
+  return table.classes.map(c => {
+    const m = c.operations[0].matrix;
+    return determinant(m) * trace(m);
+  });
+}
+
+// Γ3N of atoms at `positions`: each atom left in place by an operation
+// contributes the trace of its matrix
+export function cartesianCharacters(table, positions) {
+  return table.classes.map(c => {
+    const m = c.operations[0].matrix;
+    const unmoved = positions.filter(p => {
+      const q = transform(m, p);
+      return Math.hypot(q[0] - p[0], q[1] - p[1], q[2] - p[2]) < 1e-5;
+    }).length;
+    return unmoved * trace(m);
+  });
+}
+
+// Parse a position typed as "0 0 1" or "0.5, 0, 0.3"
+export function parsePosition(text) {
+  const values = text.trim().split(/[\s,]+/).filter(Boolean).map(Number);
+  if (values.length !== 3 || values.some(v => !Number.isFinite(v))) {
+    throw new Error('Enter three coordinates, e.g. 0 0 1 or 0.5, 0, 0.3');
+  }
+  return values;
+}
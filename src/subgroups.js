@@ -0,0 +1,110 @@
+// Subgroup enumeration and the maximal-subgroup lattice of the point groups
+
+import {
+  groupElements,
+  multiplicationTable,
+  symmetryElements,
+  identifyPointGroup,
+  sameLine
+} from './symmetry.js';
+
+// Close a set of element indices under the group's multiplication table
+function closeIndices(table, generators) {
+  const members = new Set([0, ...generators]);
+  const queue = [...members];
+  while (queue.length > 0) {
+    const x = queue.shift();
+    for (const g of generators) {
+      const y = table[g][x];
+      if (!members.has(y)) {
+        members.add(y);
+        queue.push(y);
+      }
+    }
+  }
+  return [...members].sort((a, b) => a - b);
+}
+
+// Every subgroup of a group, as sorted arrays of indices into `elements`.
+// Starts from the cyclic subgroups and joins them until nothing new appears.
+export function subgroups(elements) {
+  const table = multiplicationTable(elements);
+  const found = new Map();
+  const add = indices => {
+    const key = indices.join(',');
+    if (found.has(key)) return false;
+    found.set(key, indices);
+    return true;
+  };
+
+  const cyclic = elements.map((_, i) => closeIndices(table, [i]));
+  cyclic.forEach(add);
+
+  const queue = [...found.values()];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    const inCurrent = new Set(current);
+    for (let i = 0; i < elements.length; i++) {
+      if (inCurrent.has(i)) continue;
+      const joined = closeIndices(table, [...current, i]);
+      if (add(joined)) queue.push(joined);
+    }
+  }
+
+  return [...found.values()].sort((a, b) => a.length - b.length);
+}
+
+function isSubset(small, large) {
+  const set = new Set(large);
+  return small.every(i => set.has(i));
+}
+
+// Proper subgroups not contained in any larger proper subgroup
+export function maximalSubgroups(elements) {
+  const all = subgroups(elements).filter(s => s.length < elements.length);
+  return all.filter(h =>
+    !all.some(k => k.length > h.length && isSubset(h, k))
+  );
+}
+
+// Symmetry elements of the supergroup that are missing, or only partly
+// kept, in the subgroup. Works for any two groups drawn in the same frame.
+export function lostElements(superElements, subElements) {
+  const kept = symmetryElements(subElements);
+  return symmetryElements(superElements).filter(op => {
+    if (op.type === 'inversion') return !kept.some(k => k.type === 'inversion');
+    if (op.type === 'mirror') {
+      return !kept.some(k => k.type === 'mirror' && sameLine(k.normal, op.normal));
+    }
+    return !kept.some(k =>
+      k.type === 'rotation' && sameLine(k.axis, op.axis) && k.order === op.order && k.roto === op.roto
+    );
+  });
+}
+
+// Nodes and edges of the maximal-subgroup lattice. Each edge runs from a
+// group to one of its maximal subgroups and records the symmetry elements
+// (in the supergroup's orientation) that are broken going down it.
+export function subgroupLattice(groups) {
+  const edges = [];
+  for (const group of groups) {
+    const elements = groupElements(group);
+    const seen = new Set();
+    for (const indices of maximalSubgroups(elements)) {
+      const subElements = indices.map(i => elements[i]);
+      const sub = identifyPointGroup(subElements, groups);
+      if (!sub || seen.has(sub.id)) continue;
+      seen.add(sub.id);
+      edges.push({
+        from: group.id,
+        to: sub.id,
+        index: elements.length / subElements.length,
+        lost: lostElements(elements, subElements)
+      });
+    }
+  }
+  return {
+    nodes: groups.map(g => ({ id: g.id, group: g, order: groupElements(g).length })),
+    edges
+  };
+}
@@ -0,0 +1,576 @@
+// Group-theory helpers: turn the generator lists in `pointGroups` into 3×3
+// matrices, close them into the full point group and classify every element.
+
+const EPS = 1e-6;
+
+export const IDENTITY = [
+  [1, 0, 0],
+  [0, 1, 0],
+  [0, 0, 1]
+];
+
+export const INVERSION = [
+  [-1, 0, 0],
+  [0, -1, 0],
+  [0, 0, -1]
+];
+
+// Vector helpers
+export function normalize(v) {
+  const len = Math.hypot(v[0], v[1], v[2]);
+  return [v[0] / len, v[1] / len, v[2] / len];
+}
+
+export function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+export function cross(a, b) {
+  return [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0]
+  ];
+}
+
+// Matrix helpers (row-major 3×3 arrays)
+export function multiply(a, b) {
+  const out = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) {
+      out[i][j] = a[i][0] * b[0][j] + a[i][1] * b[1][j] + a[i][2] * b[2][j];
+    }
+  }
+  return out;
+}
+
+export function transform(m, v) {
+  return [
+    m[0][0] * v[0] + m[0][1] * v[1] + m[0][2] * v[2],
+    m[1][0] * v[0] + m[1][1] * v[1] + m[1][2] * v[2],
+    m[2][0] * v[0] + m[2][1] * v[1] + m[2][2] * v[2]
+  ];
+}
+
+export function transpose(m) {
+  return [
+    [m[0][0], m[1][0], m[2][0]],
+    [m[0][1], m[1][1], m[2][1]],
+    [m[0][2], m[1][2], m[2][2]]
+  ];
+}
+
+export function determinant(m) {
+  return (
+    m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+    m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+    m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0])
+  );
+}
+
+export function invert(m) {
+  const [[a, b, c], [d, e, f], [g, h, k]] = m;
+  const det = determinant(m);
+  return [
+    [(e * k - f * h) / det, (c * h - b * k) / det, (b * f - c * e) / det],
+    [(f * g - d * k) / det, (a * k - c * g) / det, (c * d - a * f) / det],
+    [(d * h - e * g) / det, (b * g - a * h) / det, (a * e - b * d) / det]
+  ];
+}
+
+export function scale(m, s) {
+  return m.map(row => row.map(x => x * s));
+}
+
+export function matricesEqual(a, b, eps = EPS) {
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) {
+      if (Math.abs(a[i][j] - b[i][j]) > eps) return false;
+    }
+  }
+  return true;
+}
+
+// Rodrigues' formula for a proper rotation by `angle` about `axis`
+export function rotationMatrix(axis, angle) {
+  const [x, y, z] = normalize(axis);
+  const c = Math.cos(angle);
+  const s = Math.sin(angle);
+  const t = 1 - c;
+  return [
+    [t * x * x + c, t * x * y - s * z, t * x * z + s * y],
+    [t * x * y + s * z, t * y * y + c, t * y * z - s * x],
+    [t * x * z - s * y, t * y * z + s * x, t * z * z + c]
+  ];
+}
+
+// Reflection across the plane through the origin with the given normal
+export function mirrorMatrix(normal) {
+  const n = normalize(normal);
+  return [0, 1, 2].map(i => [0, 1, 2].map(j => (i === j ? 1 : 0) - 2 * n[i] * n[j]));
+}
+
+// Matrix of one entry of a group's `operations` list
+export function operationMatrix(op) {
+  switch (op.type) {
+    case 'rotation': {
+      const r = rotationMatrix(op.axis, (2 * Math.PI) / op.order);
+      return op.roto ? scale(r, -1) : r;
+    }
+    case 'mirror':
+      return mirrorMatrix(op.normal);
+    case 'inversion':
+      return INVERSION;
+    default:
+      return IDENTITY;
+  }
+}
+
+function indexOfMatrix(list, m) {
+  return list.findIndex(x => matricesEqual(x, m));
+}
+
+// Multiply generators until the set closes. Throws if the set grows past
+// `maxOrder`, which means the generators don't describe a finite
+// crystallographic point group.
+export function closeGroup(generators, maxOrder = 48) {
+  const elements = [IDENTITY];
+  const queue = [IDENTITY];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    for (const g of generators) {
+      const product = multiply(g, current);
+      if (indexOfMatrix(elements, product) === -1) {
+        elements.push(product);
+        queue.push(product);
+        if (elements.length > maxOrder) {
+          throw new Error(`Generators do not close within ${maxOrder} elements`);
+        }
+      }
+    }
+  }
+
+  return elements;
+}
+
+// Cartesian → hexagonal a, b, c (a along x, b at 120° in the xy plane)
+const CART_TO_HEX = [
+  [1, 1 / Math.sqrt(3), 0],
+  [0, 2 / Math.sqrt(3), 0],
+  [0, 0, 1]
+];
+
+function rationalize(v) {
+  const smallest = Math.min(...v.map(Math.abs).filter(x => x > EPS));
+  const base = v.map(x => x / smallest);
+  for (let k = 1; k <= 6; k++) {
+    const scaled = base.map(x => x * k);
+    if (scaled.every(x => Math.abs(x - Math.round(x)) < 1e-4)) {
+      return scaled.map(x => Math.round(x) || 0);
+    }
+  }
+  return null;
+}
+
+// Small integer indices [uvw] of a direction, in the hexagonal a, b, c
+// basis for trigonal and hexagonal groups and the Cartesian one otherwise.
+export function directionIndices(v, basis = 'cartesian') {
+  if (basis === 'hexagonal') {
+    return rationalize(transform(CART_TO_HEX, v));
+  }
+  return rationalize(v);
+}
+
+function indexDigits(indices) {
+  return indices.map(i => (i < 0 ? `-${-i}` : `${i}`)).join('');
+}
+
+export function formatIndices(indices) {
+  if (!indices) return '[?]';
+  return `[${indexDigits(indices)}]`;
+}
+
+// Hexagonal a, b, c in Cartesian coordinates, as rows
+const HEX_AXES = [
+  [1, 0, 0],
+  [-1 / 2, Math.sqrt(3) / 2, 0],
+  [0, 0, 1]
+];
+
+// Miller indices (hkl) of the plane with normal `n`: h, k, l are in the
+// ratio a·n : b·n : c·n, first non-zero index positive
+export function planeIndices(n, basis = 'cartesian') {
+  const hkl = rationalize(basis === 'hexagonal' ? transform(HEX_AXES, n) : n);
+  if (!hkl) return null;
+  return hkl.find(x => x !== 0) < 0 ? hkl.map(x => -x || 0) : hkl;
+}
+
+export function formatPlaneIndices(hkl) {
+  if (!hkl) return '(?)';
+  return `(${indexDigits(hkl)})`;
+}
+
+// Pick the sign of an axis so that its first non-zero index is positive
+function orientAxis(v, basis) {
+  const raw = directionIndices(v, basis) || v;
+  const first = raw.find(x => Math.abs(x) > EPS);
+  if (first > 0) {
+    return { axis: v, indices: directionIndices(v, basis) };
+  }
+  const flipped = v.map(x => -x || 0);
+  return { axis: flipped, indices: directionIndices(flipped, basis) };
+}
+
+// Axis of a proper rotation matrix
+function rotationAxis(r, angle) {
+  if (Math.abs(angle - Math.PI) < 1e-4) {
+    // For 180° the antisymmetric part vanishes; R + I = 2 u uᵀ
+    const sym = [0, 1, 2].map(i => [0, 1, 2].map(j => (r[i][j] + (i === j ? 1 : 0)) / 2));
+    const col = sym.reduce((best, row) => (dot(row, row) > dot(best, best) ? row : best));
+    return normalize(col);
+  }
+  return normalize([r[2][1] - r[1][2], r[0][2] - r[2][0], r[1][0] - r[0][1]]);
+}
+
+const SUPERSCRIPT = { '+': '⁺', '-': '⁻', '': '' };
+
+// Describe a single group element: its geometric type, axis or plane,
+// order and Seitz-style symbol (1, -1, 2[001], m(110), 4⁺[001], -3⁻[111] …).
+// Mirrors are named by their plane (hkl) rather than the normal direction.
+export function classifyMatrix(m, basis = 'cartesian') {
+  const det = Math.sign(determinant(m));
+  const proper = det > 0 ? m : scale(m, -1);
+  const cosAngle = Math.max(-1, Math.min(1, (proper[0][0] + proper[1][1] + proper[2][2] - 1) / 2));
+  const angle = Math.acos(cosAngle);
+
+  if (angle < 1e-4) {
+    return det > 0
+      ? { matrix: m, det, type: 'identity', order: 1, sense: '', symbol: '1', period: 1 }
+      : { matrix: m, det, type: 'inversion', order: 1, sense: '', symbol: '-1', period: 2 };
+  }
+
+  const { axis, indices } = orientAxis(rotationAxis(proper, angle), basis);
+  const n = Math.round((2 * Math.PI) / angle);
+  const direction = formatIndices(indices);
+
+  // Sense of rotation about the canonical axis
+  let sense = '';
+  if (n > 2) {
+    const s = proper[2][1] - proper[1][2];
+    const t = proper[0][2] - proper[2][0];
+    const u = proper[1][0] - proper[0][1];
+    sense = dot([s, t, u], axis) > 0 ? '+' : '-';
+  }
+
+  if (det > 0) {
+    return {
+      matrix: m, det, type: 'rotation', order: n, sense, axis, indices,
+      symbol: `${n}${SUPERSCRIPT[sense]}${direction}`,
+      period: n
+    };
+  }
+
+  if (n === 2) {
+    const hkl = planeIndices(axis, basis);
+    return {
+      matrix: m, det, type: 'mirror', order: 2, sense: '', normal: axis, indices, hkl,
+      symbol: `m${formatPlaneIndices(hkl)}`,
+      period: 2
+    };
+  }
+
+  // Otherwise -M is a rotation by 2π/n and M = -1 · n is the rotoinversion -n
+  return {
+    matrix: m, det, type: 'rotoinversion', order: n, sense, axis, indices,
+    symbol: `-${n}${SUPERSCRIPT[sense]}${direction}`,
+    period: n % 2 === 1 ? 2 * n : n
+  };
+}
+
+// Order elements the way International Tables lists them: identity,
+// rotations by increasing order, inversion, then rotoinversions and mirrors.
+const TYPE_RANK = { identity: 0, rotation: 1, inversion: 2, rotoinversion: 3, mirror: 4 };
+
+function compareElements(a, b) {
+  return (
+    TYPE_RANK[a.type] - TYPE_RANK[b.type] ||
+    a.order - b.order ||
+    a.symbol.localeCompare(b.symbol)
+  );
+}
+
+export function basisForSystem(system) {
+  return system === 'Trigonal' || system === 'Hexagonal' ? 'hexagonal' : 'cartesian';
+}
+
+const elementCache = new WeakMap();
+
+// Every element of a point group, generated from its `operations` list
+export function groupElements(group) {
+  if (!elementCache.has(group)) {
+    const matrices = closeGroup(group.operations.map(operationMatrix));
+    const basis = basisForSystem(group.system);
+    const elements = matrices.map(m => classifyMatrix(m, basis)).sort(compareElements);
+    elementCache.set(group, elements);
+  }
+  return elementCache.get(group);
+}
+
+export function sameLine(a, b) {
+  return Math.abs(Math.abs(dot(a, b)) - 1) < 1e-4;
+}
+
+// Short label of a symmetry element as drawn: 4[001], -3[111], m(110), -1
+export function elementLabel(op) {
+  if (op.type === 'rotation') return `${op.roto ? '-' : ''}${op.order}${formatIndices(op.indices)}`;
+  if (op.type === 'mirror') return `m${formatPlaneIndices(op.hkl)}`;
+  return '-1';
+}
+
+const symmetryCache = new WeakMap();
+
+// Collapse group elements into the geometric symmetry elements that are
+// drawn: one entry per axis (with its highest proper or rotoinversion
+// order), one per mirror plane and the inversion centre. Entries use the
+// same shape as `operations` so they can be rendered and animated alike.
+// The result is cached per elements array, so entries can be compared by
+// identity across components.
+export function symmetryElements(elements) {
+  if (symmetryCache.has(elements)) return symmetryCache.get(elements);
+
+  const axes = [];
+  const mirrors = [];
+  let inversion = false;
+
+  for (const el of elements) {
+    if (el.type === 'inversion') {
+      inversion = true;
+    } else if (el.type === 'mirror') {
+      if (!mirrors.some(m => sameLine(m.normal, el.normal))) {
+        mirrors.push({ type: 'mirror', normal: el.normal, indices: el.indices, hkl: el.hkl });
+      }
+    } else if (el.type === 'rotation' || el.type === 'rotoinversion') {
+      let entry = axes.find(a => sameLine(a.axis, el.axis));
+      if (!entry) {
+        entry = { axis: el.axis, indices: el.indices, proper: 1, improper: 1 };
+        axes.push(entry);
+      }
+      if (el.type === 'rotation') entry.proper = Math.max(entry.proper, el.order);
+      else entry.improper = Math.max(entry.improper, el.order);
+    }
+  }
+
+  // -3 contains 3 and -4 contains 2, so an axis is named after its
+  // rotoinversion when that is the larger (or equal, odd) order.
+  const rotations = axes
+    .filter(a => a.proper > 1 || a.improper > 2)
+    .map(a => {
+      const roto = a.improper > a.proper || (a.improper === a.proper && a.proper % 2 === 1);
+      return {
+        type: 'rotation',
+        order: roto ? a.improper : a.proper,
+        axis: a.axis,
+        indices: a.indices,
+        roto
+      };
+    })
+    .sort((a, b) => b.order - a.order);
+
+  const result = [
+    ...rotations,
+    ...mirrors,
+    ...(inversion ? [{ type: 'inversion' }] : [])
+  ];
+  symmetryCache.set(elements, result);
+  return result;
+}
+
+// table[i][j] is the index of elements[i] · elements[j] (j applied first)
+export function multiplicationTable(elements) {
+  const matrices = elements.map(e => e.matrix);
+  return matrices.map(a => matrices.map(b => indexOfMatrix(matrices, multiply(a, b))));
+}
+
+// Signed rotation angle of an element about its (oriented) axis
+export function elementAngle(el) {
+  if (el.type !== 'rotation' && el.type !== 'rotoinversion') return 0;
+  return ((el.sense === '-' ? -1 : 1) * 2 * Math.PI) / el.order;
+}
+
+// Matrix part-way through an element, from identity (t = 0) to the full
+// operation (t = 1), for animating it.
+export function elementPose(el, t) {
+  switch (el.type) {
+    case 'rotation':
+      return rotationMatrix(el.axis, elementAngle(el) * t);
+    case 'mirror': {
+      const n = el.normal;
+      return [0, 1, 2].map(i => [0, 1, 2].map(j => (i === j ? 1 : 0) - 2 * t * n[i] * n[j]));
+    }
+    case 'inversion':
+      return scale(IDENTITY, 1 - 2 * t);
+    case 'rotoinversion':
+      return scale(rotationMatrix(el.axis, elementAngle(el) * t), 1 - 2 * t);
+    default:
+      return IDENTITY;
+  }
+}
+
+// Stages an element is animated in. A rotoinversion -n is shown as its
+// rotation followed by the inversion, everything else in one stage.
+export function elementStages(el) {
+  if (el.type !== 'rotoinversion') return [el];
+  return [
+    { type: 'rotation', order: el.order, sense: el.sense, axis: el.axis, matrix: scale(el.matrix, -1) },
+    { type: 'inversion', order: 1, sense: '', matrix: INVERSION }
+  ];
+}
+
+// Geometric class of a set of elements: how many of each kind of operation
+// it contains. This multiset tells all 32 crystal classes apart.
+export function classSignature(elements) {
+  const counts = {};
+  for (const el of elements) {
+    const key = `${el.type}${el.order}`;
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  return Object.keys(counts).sort().map(k => `${k}:${counts[k]}`).join(',');
+}
+
+// The entry of `groups` whose class matches the given elements, if any
+export function identifyPointGroup(elements, groups) {
+  const signature = classSignature(elements);
+  return groups.find(g => classSignature(groupElements(g)) === signature) || null;
+}
+
+// Conjugacy classes as arrays of indices into `elements`, in the order
+// their first member appears
+export function conjugacyClasses(elements) {
+  const table = multiplicationTable(elements);
+  const inverse = table.map(row => row.indexOf(0));
+  const classOf = new Array(elements.length).fill(-1);
+  const classes = [];
+  elements.forEach((_, g) => {
+    if (classOf[g] !== -1) return;
+    const members = new Set(elements.map((_, h) => table[table[h][g]][inverse[h]]));
+    const sorted = [...members].sort((a, b) => a - b);
+    sorted.forEach(i => { classOf[i] = classes.length; });
+    classes.push(sorted);
+  });
+  return classes;
+}
+
+// The entry of symmetryElements(elements) that carries the operation `op`:
+// its axis, mirror plane or the inversion centre. The identity has none.
+export function symmetryElementOf(op, elements) {
+  const symmetry = symmetryElements(elements);
+  if (op.type === 'inversion') return symmetry.find(s => s.type === 'inversion') || null;
+  if (op.type === 'mirror') {
+    return symmetry.find(s => s.type === 'mirror' && sameLine(s.normal, op.normal)) || null;
+  }
+  if (op.type === 'rotation' || op.type === 'rotoinversion') {
+    return symmetry.find(s => s.type === 'rotation' && sameLine(s.axis, op.axis)) || null;
+  }
+  return null;
+}
+
+// Distinct images of a point under every element
+export function orbit(point, elements) {
+  const images = [];
+  for (const el of elements) {
+    const p = transform(el.matrix, point);
+    if (!images.some(q => Math.hypot(q[0] - p[0], q[1] - p[1], q[2] - p[2]) < 1e-5)) images.push(p);
+  }
+  return images;
+}
+
+// The 24 rotations that take the coordinate axes onto one another (signed
+// permutation matrices with determinant +1), starting with the identity
+export const AXIS_ROTATIONS = (() => {
+  const permutations = [[0, 1, 2], [1, 2, 0], [2, 0, 1], [0, 2, 1], [2, 1, 0], [1, 0, 2]];
+  const rotations = [];
+  for (const perm of permutations) {
+    for (let s = 0; s < 8; s++) {
+      const signs = [0, 1, 2].map(k => ((s >> k) & 1 ? -1 : 1));
+      // Column j is ± the axis perm[j]
+      const m = [0, 1, 2].map(i => [0, 1, 2].map(j => (perm[j] === i ? signs[j] : 0)));
+      if (determinant(m) > 0) rotations.push(m);
+    }
+  }
+  return rotations;
+})();
+
+// Whether two lists of elements hold the same operations
+export function sameOperations(a, b, eps = EPS) {
+  return a.length === b.length && a.every(x => b.some(y => matricesEqual(x.matrix, y.matrix, eps)));
+}
+
+// Rotation taking unit vector u onto unit vector v
+export function rotationBetween(u, v) {
+  const axis = cross(u, v);
+  const c = dot(u, v);
+  const s = Math.hypot(...axis);
+  if (s < 1e-9) {
+    if (c > 0) return IDENTITY;
+    const other = Math.abs(u[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+    return rotationMatrix(cross(u, other), Math.PI);
+  }
+  return rotationMatrix(axis, Math.atan2(s, c));
+}
+
+// Rotation taking the right-handed frame built on (a, b) onto the one on (a0, b0)
+export function frameRotation(a, b, a0, b0) {
+  const frame = (x, y) => {
+    const e1 = normalize(x);
+    const along = dot(y, e1);
+    const e2 = normalize([y[0] - along * e1[0], y[1] - along * e1[1], y[2] - along * e1[2]]);
+    return [e1, e2, cross(e1, e2)];
+  };
+  const from = frame(a, b);
+  const to = frame(a0, b0);
+  return [0, 1, 2].map(i => [0, 1, 2].map(j => to.reduce((sum, t, k) => sum + t[i] * from[k][j], 0)));
+}
+
+// Direction of a symmetry element and what kind it is ('4', '-3', 'm' …)
+function elementKind(el) {
+  return el.type === 'mirror' ? ['m', el.normal] : [`${el.roto ? '-' : ''}${el.order}`, el.axis];
+}
+
+// Rotation Q that turns `elements` (Cartesian, classified) into the
+// standard orientation of `group`, so that Q·M·Qᵀ runs over the group's
+// own elements within `eps`. Null if there is none.
+export function standardOrientation(elements, group, eps = EPS) {
+  const standard = groupElements(group);
+  const target = symmetryElements(standard).filter(el => el.type !== 'inversion').map(elementKind);
+  const mine = symmetryElements(elements).filter(el => el.type !== 'inversion').map(elementKind);
+  const fits = (q) => {
+    const qt = transpose(q);
+    return sameOperations(elements.map(el => ({ matrix: multiply(multiply(q, el.matrix), qt) })), standard, eps);
+  };
+  if (fits(IDENTITY)) return IDENTITY;
+  if (target.length === 0) return null;
+
+  // The first element (highest-order axis) onto its match, then a second,
+  // non-parallel element onto one at the same angle
+  const [kind0, d0] = target[0];
+  const second = target.find(([, d]) => !sameLine(d, d0));
+  for (const [, d] of mine.filter(([k]) => k === kind0)) {
+    for (const a of [d, d.map(x => -x)]) {
+      if (!second) {
+        const q = rotationBetween(normalize(a), normalize(d0));
+        if (fits(q)) return q;
+        continue;
+      }
+      const angle = dot(normalize(d0), normalize(second[1]));
+      for (const [, e] of mine.filter(([k, dir]) => k === second[0] && !sameLine(dir, d))) {
+        for (const b of [e, e.map(x => -x)]) {
+          if (Math.abs(dot(normalize(a), normalize(b)) - angle) > 1e-3) continue;
+          const q = frameRotation(a, b, d0, second[1]);
+          if (fits(q)) return q;
+        }
+      }
+    }
+  }
+  return null;
+}
@@ -0,0 +1,272 @@
+// Property tensors under Neumann's principle: a physical property of a
+// crystal has at least the symmetry of its point group, so its tensor is
+// unchanged by every operation of the group. The components that survive,
+// and the relations between them, are found from the group's matrices.
+
+const EPS = 1e-8;
+
+// Voigt pairs: 1 = xx, 2 = yy, 3 = zz, 4 = yz, 5 = xz, 6 = xy
+const VOIGT = [[0, 0], [1, 1], [2, 2], [1, 2], [0, 2], [0, 1]];
+
+function voigt(j, k) {
+  return VOIGT.findIndex(([a, b]) => (a === j && b === k) || (a === k && b === j));
+}
+
+function permutations(items) {
+  if (items.length <= 1) return [items];
+  return items.flatMap((item, i) =>
+    permutations([...items.slice(0, i), ...items.slice(i + 1)]).map(rest => [item, ...rest])
+  );
+}
+
+// Every index permutation generated by `generators`
+function permutationGroup(generators, rank) {
+  const group = [[...Array(rank).keys()]];
+  for (let i = 0; i < group.length; i++) {
+    for (const g of generators) {
+      const next = group[i].map(k => g[k]);
+      if (!group.some(p => p.every((x, k) => x === next[k]))) group.push(next);
+    }
+  }
+  return group;
+}
+
+// How each tensor is laid out as a matrix. `entry` gives the matrix cell a
+// tensor component is read into, with the factor it is multiplied by
+// there; `component` the tensor component a cell shows. `intrinsic` lists
+// the index permutations the tensor is symmetric under whatever the crystal,
+// and an `axial` tensor changes sign under improper operations.
+export const TENSORS = {
+  dielectric: {
+    name: 'Dielectric permittivity ε',
+    symbol: 'ε',
+    rank: 2,
+    rows: 3,
+    cols: 3,
+    entry: ([i, j]) => ({ row: i, col: j, factor: 1 }),
+    component: (row, col) => [row, col],
+    intrinsic: permutationGroup([[1, 0]], 2)
+  },
+  thermalExpansion: {
+    name: 'Thermal expansion α',
+    symbol: 'α',
+    rank: 2,
+    rows: 3,
+    cols: 3,
+    entry: ([i, j]) => ({ row: i, col: j, factor: 1 }),
+    component: (row, col) => [row, col],
+    intrinsic: permutationGroup([[1, 0]], 2)
+  },
+  piezoelectric: {
+    name: 'Piezoelectric d',
+    note: 'd₁₄ = 2d₁₂₃ and so on for the shear columns 4–6',
+    symbol: 'd',
+    rank: 3,
+    rows: 3,
+    cols: 6,
+    entry: ([i, j, k]) => ({ row: i, col: voigt(j, k), factor: j === k ? 1 : 2 }),
+    component: (row, col) => [row, ...VOIGT[col]],
+    intrinsic: permutationGroup([[0, 2, 1]], 3)
+  },
+  shg: {
+    name: 'Second-harmonic generation d',
+    note: 'With Kleinman symmetry, which holds away from absorption',
+    symbol: 'd',
+    rank: 3,
+    rows: 3,
+    cols: 6,
+    entry: ([i, j, k]) => ({ row: i, col: voigt(j, k), factor: 1 }),
+    component: (row, col) => [row, ...VOIGT[col]],
+    intrinsic: permutations([0, 1, 2])
+  },
+  elastic: {
+    name: 'Elastic stiffness c',
+    symbol: 'c',
+    rank: 4,
+    rows: 6,
+    cols: 6,
+    entry: ([i, j, k, l]) => ({ row: voigt(i, j), col: voigt(k, l), factor: 1 }),
+    component: (row, col) => [...VOIGT[row], ...VOIGT[col]],
+    intrinsic: permutationGroup([[1, 0, 2, 3], [0, 1, 3, 2], [2, 3, 0, 1]], 4)
+  }
+};
+
+// Tensors behind the yes/no properties
+const POLAR_VECTOR = {
+  rank: 1,
+  rows: 1,
+  cols: 3,
+  entry: ([i]) => ({ row: 0, col: i, factor: 1 }),
+  component: (row, col) => [col],
+  intrinsic: [[0]]
+};
+const GYRATION = {
+  rank: 2,
+  rows: 3,
+  cols: 3,
+  entry: ([i, j]) => ({ row: i, col: j, factor: 1 }),
+  component: (row, col) => [row, col],
+  intrinsic: permutationGroup([[1, 0]], 2),
+  axial: true
+};
+
+// Components of a rank-r tensor are stored flat, first index slowest
+function flatIndex(indices) {
+  return indices.reduce((acc, i) => acc * 3 + i, 0);
+}
+
+const indexCache = {};
+
+function allIndices(rank) {
+  if (!indexCache[rank]) {
+    let result = [[]];
+    for (let k = 0; k < rank; k++) result = result.flatMap(idx => [0, 1, 2].map(i => [...idx, i]));
+    indexCache[rank] = result;
+  }
+  return indexCache[rank];
+}
+
+// T'ᵢⱼ… = Rᵢₚ Rⱼq … Tₚq…, applied one index at a time
+function transformTensor(t, m, rank) {
+  let current = t;
+  for (let mode = 0; mode < rank; mode++) {
+    const next = new Float64Array(current.length);
+    for (const idx of allIndices(rank)) {
+      let sum = 0;
+      for (let p = 0; p < 3; p++) {
+        const source = [...idx];
+        source[mode] = p;
+        sum += m[idx[mode]][p] * current[flatIndex(source)];
+      }
+      next[flatIndex(idx)] = sum;
+    }
+    current = next;
+  }
+  return current;
+}
+
+// Map from matrix cells (flattened) onto the invariant, intrinsically
+// symmetric tensors: average over the group, then over the permutations
+function invariantProjector(kind, elements) {
+  const size = kind.rows * kind.cols;
+  const indices = allIndices(kind.rank);
+  const columns = [];
+  for (let a = 0; a < size; a++) {
+    const t = new Float64Array(3 ** kind.rank);
+    for (const idx of indices) {
+      const { row, col, factor } = kind.entry(idx);
+      if (row * kind.cols + col === a) t[flatIndex(idx)] = 1 / factor;
+    }
+    const average = new Float64Array(t.length);
+    for (const el of elements) {
+      const sign = kind.axial ? el.det : 1;
+      transformTensor(t, el.matrix, kind.rank).forEach((x, i) => { average[i] += (sign * x) / elements.length; });
+    }
+    const symmetric = new Float64Array(t.length);
+    for (const idx of indices) {
+      for (const p of kind.intrinsic) {
+        symmetric[flatIndex(idx)] += average[flatIndex(p.map(k => idx[k]))] / kind.intrinsic.length;
+      }
+    }
+    const column = [];
+    for (let row = 0; row < kind.rows; row++) {
+      for (let col = 0; col < kind.cols; col++) {
+        const idx = kind.component(row, col);
+        column.push(kind.entry(idx).factor * symmetric[flatIndex(idx)]);
+      }
+    }
+    columns.push(column);
+  }
+  return columns;
+}
+
+// Reduced row echelon form of a set of vectors, with pivots taken in
+// order of the entries so that the first free cells are the independent
+// components, as in the usual tables
+function rowEchelon(vectors) {
+  const rows = vectors.map(v => [...v]);
+  const pivots = [];
+  let r = 0;
+  for (let c = 0; c < (rows[0]?.length || 0) && r < rows.length; c++) {
+    let best = r;
+    for (let i = r + 1; i < rows.length; i++) {
+      if (Math.abs(rows[i][c]) > Math.abs(rows[best][c])) best = i;
+    }
+    if (Math.abs(rows[best][c]) < EPS) continue;
+    [rows[r], rows[best]] = [rows[best], rows[r]];
+    const lead = rows[r][c];
+    rows[r] = rows[r].map(x => x / lead);
+    for (let i = 0; i < rows.length; i++) {
+      if (i === r || Math.abs(rows[i][c]) < EPS) continue;
+      const f = rows[i][c];
+      rows[i] = rows[i].map((x, k) => x - f * rows[r][k]);
+    }
+    pivots.push(c);
+    r++;
+  }
+  return { rows: rows.slice(0, r), pivots };
+}
+
+// Form of a property tensor in a group. Returns the matrix as cells of
+// `terms` ({ coefficient, name } of the independent components each cell
+// equals; none means the cell is zero) and the list of independent ones.
+export function propertyTensor(kind, elements) {
+  const { rows, pivots } = rowEchelon(invariantProjector(kind, elements));
+  const nameOf = (cell) => `${kind.symbol}${Math.floor(cell / kind.cols) + 1}${(cell % kind.cols) + 1}`;
+  const independent = pivots.map(nameOf);
+  const matrix = [];
+  for (let row = 0; row < kind.rows; row++) {
+    matrix.push([]);
+    for (let col = 0; col < kind.cols; col++) {
+      const cell = row * kind.cols + col;
+      matrix[row].push(rows
+        .map((r, j) => ({ coefficient: r[cell], name: independent[j] }))
+        .filter(term => Math.abs(term.coefficient) > 1e-6));
+    }
+  }
+  return { matrix, independent };
+}
+
+function allowed(kind, elements) {
+  return rowEchelon(invariantProjector(kind, elements)).pivots.length > 0;
+}
+
+// Yes/no properties of a crystal class
+export function crystalProperties(elements) {
+  const proper = elements.every(el => el.det > 0);
+  return {
+    centrosymmetric: elements.some(el => el.type === 'inversion'),
+    enantiomorphic: proper,
+    pyroelectric: allowed(POLAR_VECTOR, elements),
+    piezoelectric: allowed(TENSORS.piezoelectric, elements),
+    opticallyActive: allowed(GYRATION, elements)
+  };
+}
+
+function fraction(x) {
+  for (let q = 1; q <= 12; q++) {
+    const p = Math.round(x * q);
+    if (Math.abs(p / q - x) < 1e-6) return { p, q };
+  }
+  return null;
+}
+
+// '0', 'c11', '−d11', '2d11', '½(c11 − c12)'
+export function formatTerms(terms) {
+  if (terms.length === 0) return '0';
+  const parts = terms.map(({ coefficient, name }) => ({ f: fraction(coefficient), x: coefficient, name }));
+  const half = parts.length > 1 && parts.every(({ f }) => f && f.q === 2 && Math.abs(f.p) === 1);
+  const scaled = half ? parts.map(part => ({ ...part, f: { p: Math.sign(part.f.p), q: 1 } })) : parts;
+  const text = scaled.map(({ f, x, name }, i) => {
+    const negative = (f ? f.p : x) < 0;
+    const size = f ? Math.abs(f.p) : Math.abs(x);
+    let magnitude;
+    if (f && f.q === 1) magnitude = size === 1 ? '' : String(size);
+    else if (f && f.q === 2 && size === 1) magnitude = '½';
+    else if (f) magnitude = `${size}/${f.q}·`;
+    else magnitude = `${size.toFixed(3)}·`;
+    const sign = negative ? (i === 0 ? '−' : ' − ') : (i === 0 ? '' : ' + ');
+    return `${sign}${magnitude}${name}`;
+  }).join('');
+  return half ? `½(${text})` : text;
+}
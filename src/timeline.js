@@ -0,0 +1,53 @@
+// Timing of symmetry-operation animations: the stages played, how long
+// they take and where the animated copy is at any moment
+
+import { IDENTITY, multiply, matricesEqual, elementPose, elementStages } from './symmetry.js';
+
+// Seconds per animation stage, and the pause on the result
+export const STEP_DURATION = 2;
+export const HOLD_DURATION = 1;
+
+function product(stages) {
+  return stages.reduce((acc, el) => multiply(el.matrix, acc), IDENTITY);
+}
+
+// Timeline of an animation's `steps`. With `trails`, a single operation is
+// repeated until the copy is back where it started, so that it passes
+// through every position the operation relates. `marks` count the stages
+// done at the end of each step.
+export function animationTimeline({ steps }, trails) {
+  const played = trails && steps.length === 1 ? Array(steps[0].period).fill(steps[0]) : steps;
+  const stages = [];
+  const marks = [];
+  for (const step of played) {
+    stages.push(...elementStages(step));
+    marks.push(stages.length);
+  }
+  return { stages, marks, trails, duration: stages.length * STEP_DURATION + HOLD_DURATION };
+}
+
+// Pose of the copy `time` seconds in, and the number of stages done
+export function timelinePose({ stages }, time) {
+  const done = Math.min(Math.floor(time / STEP_DURATION), stages.length);
+  let matrix = product(stages.slice(0, done));
+  if (done < stages.length) {
+    matrix = multiply(elementPose(stages[done], (time % STEP_DURATION) / STEP_DURATION), matrix);
+  }
+  return { matrix, done };
+}
+
+// Where ghost copies are left: the pose at the end of each step, except
+// the ones that are back at the start
+export function trailPoses({ stages, marks }) {
+  return marks
+    .map(done => ({ done, matrix: product(stages.slice(0, done)) }))
+    .filter(pose => !matricesEqual(pose.matrix, IDENTITY));
+}
+
+// Time of the next step end after `time`, or of the last one before it
+// when `direction` is -1; past either end it wraps round to the start
+export function stepTime({ marks }, time, direction) {
+  const times = [0, ...marks.map(done => done * STEP_DURATION)];
+  if (direction > 0) return times.find(t => t > time + 1e-3) ?? 0;
+  return [...times].reverse().find(t => t < time - 1e-3) ?? times[times.length - 1];
+}
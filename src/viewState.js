@@ -0,0 +1,60 @@
+// The explorer's view as URL query parameters, so that a link opens the
+// same group, display options, animation and camera
+
+// Display toggles, all on unless the link says otherwise
+const TOGGLES = ['axes', 'planes', 'inversion', 'spin'];
+
+function formatVector(v) {
+  return v.map(x => Math.round(x * 1000) / 1000).join(',');
+}
+
+function readVector(text) {
+  const v = (text || '').split(',').map(Number);
+  return v.length === 3 && v.every(Number.isFinite) ? v : null;
+}
+
+function readIndices(text) {
+  if (!text) return null;
+  const indices = text.split(',').map(Number);
+  return indices.every(i => Number.isInteger(i) && i >= 0) ? indices : null;
+}
+
+// Query string for a view. `animation` holds indices into the group's
+// elements (`steps`) and symmetry elements (`source`, or null); `camera`
+// the position and orbit target. Defaults are left out.
+export function encodeView({ groupId, filterSystem, toggles, animation, camera }) {
+  const params = new URLSearchParams();
+  params.set('group', groupId);
+  if (filterSystem !== 'All') params.set('system', filterSystem);
+  for (const name of TOGGLES) {
+    if (!toggles[name]) params.set(name, '0');
+  }
+  if (animation) {
+    params.set('animate', animation.steps.join(','));
+    if (animation.source !== null) params.set('about', String(animation.source));
+  }
+  if (camera) {
+    params.set('camera', formatVector(camera.position));
+    params.set('target', formatVector(camera.target));
+  }
+  // Slashes and commas are fine in a query and keep links readable
+  return params.toString().replace(/%2F/g, '/').replace(/%2C/g, ',');
+}
+
+// View read back from a query string. Anything missing or unreadable is
+// left undefined (or null) for the caller to default.
+export function decodeView(search) {
+  const params = new URLSearchParams(search);
+  const toggles = Object.fromEntries(TOGGLES.map(name => [name, params.get(name) !== '0']));
+  const steps = readIndices(params.get('animate'));
+  const source = readIndices(params.get('about'));
+  const position = readVector(params.get('camera'));
+  const target = readVector(params.get('target'));
+  return {
+    groupId: params.get('group') || undefined,
+    filterSystem: params.get('system') || undefined,
+    toggles,
+    animation: steps ? { steps, source: source?.length === 1 ? source[0] : null } : null,
+    camera: position ? { position, target: target || [0, 0, 0] } : null
+  };
+}